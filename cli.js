@@ -0,0 +1,351 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { runMerge } = require('./merge');
+const { validateDatabase } = require('./lib/validate');
+const { lintDatabase, formatLintSummary } = require('./lib/lint');
+const { readDatabase, loadIndex, findDevices, findCc, findNrpn, findTagged, searchParameters, toRows, formatTable } = require('./lib/query');
+const { parameterTags } = require('./lib/tags');
+const { exporters, exportDevices } = require('./lib/export');
+const { readDeviceFile, importDevices } = require('./lib/import');
+const { defaultMappingPath, readMappingFile, writeMappingFile, checkMapping, changeMapping, affectedDevices } = require('./lib/mapping');
+
+const usage = `Usage: node cli.js <command> [options]
+
+Commands:
+  merge              Merge the upstream databases into midi.json
+  validate [file]    Check a merged database against the schema (default: ./midi.json)
+  lint [file]        Report data-quality warnings for a merged database (default: ./midi.json)
+  query [file]       Search a merged database, plain or .gz (default: ./midi.json)
+  export [file]      Export devices as instrument definitions, CSV or controller presets
+  import <file>      Add devices from a CSV/TSV, YAML or JSON file to the local source
+  mapping <action>   Check or edit mapping.json (see below)
+
+Options for merge:
+  --sources <path>     Sources manifest listing every input (default: ./sources.json)
+  --input <name>=<path>
+                       Read the source with this name from another file for this run,
+                       e.g. --input openmidi=../openmidi/all.json; repeat for more sources
+  --mapping <path>     Brand/model mapping file (default: ./mapping.json)
+  --overrides <dir>    Patch files applied after merging (default: ./overrides)
+  --out <dir>          Output directory (default: repository root)
+  --provenance <mode>  Record which source won each field: "inline" adds a _sources
+                       block to every device, "sidecar" writes reports/midi-provenance.json
+  --previous <file>    Build to compare against for the changelog
+                       (default: midi.json or midi.min.json.gz in the output directory)
+  --split              Also write one file per device plus an index to devices/
+  --dry-run            Merge and print statistics without writing any files
+  --help               Show this message
+
+Options for lint:
+  --json               Print the full report as JSON instead of a summary
+
+Options for query:
+  --brand <name>       Only devices of this brand (punctuation and case are ignored)
+  --device <name>      Only this device
+  --cc <number>        Parameters on this CC number
+  --nrpn [msb:lsb]     Parameters at this NRPN address; without an address,
+                       devices with any NRPN parameters
+  --name <words>       Parameters whose name contains these words, e.g. "cutoff"
+  --tag <tag>          Parameters with this tag (filter, envelope, lfo, effect, mixer,
+                       transport, preset, expression); combines with --cc, --nrpn and --name
+  --json               Print the results as JSON instead of a table
+
+  Without --cc, --nrpn, --name or --tag, query lists the matching devices:
+    node cli.js query --cc 74
+    node cli.js query --cc 11 --brand arturia --device microfreak
+    node cli.js query --tag filter --name cutoff
+    node cli.js query --nrpn
+
+Options for export:
+  --format <name>      ins (Cakewalk-style instrument definitions), csv or preset
+                       (controller preset JSON)
+  --brand <name>       Only devices of this brand
+  --device <name>      Only this device
+  --output <path>      Write to a file instead of printing
+
+Options for import:
+  --brand <name>       Brand for rows/devices that don't name one
+  --device <name>      Device for rows/devices that don't name one
+  --mapping <path>     Brand/model mapping file to register new names in (default: ./mapping.json)
+  --overlay <path>     Local source file to add the devices to (default: ./local/devices.json)
+  --dry-run            Check the file and show what would be added without writing
+
+Mapping actions:
+  check                                  List integrity problems in mapping.json
+  add-brand <name>                       Add a brand (--value defaults to the name's letters and digits)
+  add-model <brand> <name>               Add a model to a brand
+  rename-brand <brand>                   Change a brand's --name and/or --value
+  rename-model <brand> <model>           Change a model's --name and/or --value
+  merge-brands <from> <into>             Move a brand's models and spellings into another brand
+  merge-models <brand> <from> <into>     Fold one model of a brand into another
+
+Options for mapping:
+  --name <name>        New display name (rename-*)
+  --value <key>        Key used in device IDs; an old value is kept as an alias
+  --mapping <path>     Mapping file to edit (default: ./mapping.json)
+  --db <file>          Merged database used to list the affected devices (default: ./midi.json)
+  --dry-run            Show the change and the affected devices without writing`;
+
+// Options that may be given more than once; they are collected into a list
+const repeatableOptions = ['input'];
+
+// Function to split command line arguments into positionals and --options
+function parseArgs(argv) {
+    const positionals = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positionals.push(arg);
+            continue;
+        }
+
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        let value = true;
+        if (inlineValue !== undefined) {
+            value = inlineValue;
+        } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+            value = argv[++i];
+        }
+        options[name] = repeatableOptions.includes(name) ? [...(options[name] || []), value] : value;
+    }
+
+    return { positionals, options };
+}
+
+// Function to resolve a path option relative to the working directory
+function resolveOption(value) {
+    return typeof value === 'string' ? path.resolve(value) : undefined;
+}
+
+// Function to read --input <name>=<path> options into { name: absolute path }
+function parseInputPaths(inputs = []) {
+    const inputPaths = {};
+    inputs.forEach(input => {
+        const [name, inputPath] = typeof input === 'string' ? input.split(/=(.*)/s) : [];
+        if (!name || !inputPath) {
+            throw new Error('--input needs a source name and a path, e.g. --input openmidi=all.json');
+        }
+        inputPaths[name] = path.resolve(inputPath);
+    });
+    return inputPaths;
+}
+
+function mergeCommand(positionals, options) {
+    if (options.provenance !== undefined && !['inline', 'sidecar'].includes(options.provenance)) {
+        throw new Error('--provenance must be "inline" or "sidecar"');
+    }
+
+    runMerge({
+        sourcesPath: resolveOption(options.sources),
+        inputPaths: parseInputPaths(options.input),
+        mappingPath: resolveOption(options.mapping),
+        overridesPath: resolveOption(options.overrides),
+        outputDir: resolveOption(options.out),
+        provenance: options.provenance,
+        previousPath: resolveOption(options.previous),
+        split: Boolean(options.split),
+        dryRun: Boolean(options['dry-run'])
+    });
+}
+
+function validateCommand(positionals) {
+    const filePath = path.resolve(positionals[0] || path.join(__dirname, 'midi.json'));
+    const errors = validateDatabase(readDatabase(filePath));
+
+    if (errors.length > 0) {
+        errors.forEach(error => console.error(`- ${error.path}: ${error.message}`));
+        throw new Error(`${path.basename(filePath)} failed schema validation with ${errors.length} error(s)`);
+    }
+    console.log(`${path.basename(filePath)} is valid`);
+}
+
+function lintCommand(positionals, options) {
+    const filePath = path.resolve(positionals[0] || path.join(__dirname, 'midi.json'));
+    const db = readDatabase(filePath);
+
+    // The lint rules expect the merged shape, so a previous release or an upstream file stops here
+    const errors = validateDatabase(db);
+    if (errors.length > 0) {
+        throw new Error(`${path.basename(filePath)} doesn't match the schema (${errors.length} error(s)), see "node cli.js validate ${positionals[0] || 'midi.json'}"`);
+    }
+
+    const report = lintDatabase(db);
+
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log(formatLintSummary(report));
+    }
+}
+
+function queryCommand(positionals, options) {
+    const filePath = path.resolve(positionals[0] || path.join(__dirname, 'midi.json'));
+    const index = loadIndex(filePath);
+    const filters = { brand: options.brand, device: options.device };
+    if (options.tag !== undefined && !parameterTags.includes(options.tag)) {
+        throw new Error(`--tag must be one of ${parameterTags.join(', ')}`);
+    }
+
+    let results;
+    if (options.cc !== undefined) {
+        if (!/^\d+$/.test(String(options.cc))) {
+            throw new Error('--cc needs a CC number');
+        }
+        results = findCc(index, options.cc, filters);
+    } else if (typeof options.nrpn === 'string') {
+        if (!/^\d+:\d+$/.test(options.nrpn)) {
+            throw new Error('--nrpn needs an address like 0:12 (MSB:LSB)');
+        }
+        results = findNrpn(index, options.nrpn, filters);
+    } else if (options.name !== undefined) {
+        results = searchParameters(index, String(options.name), filters);
+    } else if (options.tag !== undefined) {
+        results = findTagged(index, options.tag, filters);
+    } else {
+        results = findDevices(index, { ...filters, nrpn: options.nrpn === true });
+    }
+    if (options.tag !== undefined) {
+        results = results.filter(result => result.entry && result.entry.tag === options.tag);
+    }
+
+    const rows = toRows(results);
+    console.log(options.json ? JSON.stringify(rows, null, 2) : formatTable(rows));
+}
+
+function exportCommand(positionals, options) {
+    if (!exporters[options.format]) {
+        throw new Error(`--format must be one of ${Object.keys(exporters).join(', ')}`);
+    }
+
+    const filePath = path.resolve(positionals[0] || path.join(__dirname, 'midi.json'));
+    const devices = findDevices(loadIndex(filePath), { brand: options.brand, device: options.device });
+    if (devices.length === 0) {
+        throw new Error('No devices match the given --brand/--device');
+    }
+
+    const content = exportDevices(devices.map(ref => ref.data), options.format);
+    if (typeof options.output === 'string') {
+        fs.writeFileSync(path.resolve(options.output), content);
+        console.log(`Exported ${devices.length} device(s) to ${options.output}`);
+    } else {
+        process.stdout.write(content);
+    }
+}
+
+function importCommand(positionals, options) {
+    if (!positionals[0]) {
+        throw new Error('import needs a file: node cli.js import <file.csv|.tsv|.yaml|.json>');
+    }
+
+    const defaults = {
+        brand: typeof options.brand === 'string' ? options.brand : undefined,
+        device: typeof options.device === 'string' ? options.device : undefined
+    };
+    const entries = readDeviceFile(path.resolve(positionals[0]), defaults);
+    const imported = importDevices(entries, {
+        mappingPath: resolveOption(options.mapping),
+        overlayPath: resolveOption(options.overlay),
+        dryRun: Boolean(options['dry-run'])
+    });
+
+    imported.forEach(device => {
+        const added = [device.brandAdded && 'new brand', device.modelAdded && 'new model'].filter(Boolean);
+        console.log(`- ${device.id}: ${device.brand} ${device.device}, ${device.cc} CC, ${device.nrpn} NRPN${added.length > 0 ? ` (${added.join(', ')})` : ''}`);
+    });
+    console.log(options['dry-run']
+        ? `Dry run: ${imported.length} device(s) would be imported`
+        : `Imported ${imported.length} device(s); run "node cli.js merge" to include them`);
+}
+
+function mappingCommand(positionals, options) {
+    const [action = 'check', ...args] = positionals;
+    const mappingPath = resolveOption(options.mapping) || defaultMappingPath;
+    const fileName = path.basename(mappingPath);
+    const mapping = readMappingFile(mappingPath);
+
+    if (action === 'check') {
+        const problems = checkMapping(mapping);
+        if (problems.length > 0) {
+            problems.forEach(problem => console.error(`- ${problem}`));
+            throw new Error(`${fileName} has ${problems.length} problem(s)`);
+        }
+        const models = mapping.brands.reduce((count, brand) => count + (brand.models || []).length, 0);
+        console.log(`${fileName} is consistent: ${mapping.brands.length} brands, ${models} models`);
+        return;
+    }
+
+    const result = changeMapping(mapping, action, args, {
+        name: typeof options.name === 'string' ? options.name : undefined,
+        value: typeof options.value === 'string' ? options.value : undefined
+    });
+    console.log(result.summary);
+
+    // Show which merged devices the change touches
+    const dbPath = path.resolve(typeof options.db === 'string' ? options.db : path.join(__dirname, 'midi.json'));
+    if (fs.existsSync(dbPath)) {
+        const devices = loadIndex(dbPath).devices.map(ref => ref.data);
+        affectedDevices(devices, result.affects).forEach(affect => {
+            console.log(`${affect.model === null ? affect.brand : `${affect.brand}/${affect.model}`}: ${affect.change}`);
+            if (affect.devices.length === 0) {
+                console.log(`  - no devices in ${path.basename(dbPath)} yet`);
+            }
+            affect.devices.forEach(device => console.log(`  - ${device.id} (${device.brand} ${device.device_name})`));
+        });
+    } else {
+        console.log(`${path.basename(dbPath)} not found - run a merge to see which devices change`);
+    }
+
+    if (result.problems.length > 0) {
+        console.log(`Note: ${fileName} still has ${result.problems.length} earlier problem(s), see "node cli.js mapping check"`);
+    }
+    if (options['dry-run']) {
+        console.log(`Dry run - ${fileName} not changed`);
+    } else {
+        writeMappingFile(mapping, mappingPath);
+        console.log(`Updated ${fileName}`);
+    }
+}
+
+const commands = {
+    merge: mergeCommand,
+    validate: validateCommand,
+    lint: lintCommand,
+    query: queryCommand,
+    export: exportCommand,
+    import: importCommand,
+    mapping: mappingCommand
+};
+
+function main(argv) {
+    const [commandName, ...rest] = argv;
+    const { positionals, options } = parseArgs(rest);
+
+    if (!commandName || commandName === '--help' || options.help) {
+        console.log(usage);
+        return;
+    }
+
+    const command = commands[commandName];
+    if (!command) {
+        console.error(`Unknown command: ${commandName}\n`);
+        console.error(usage);
+        process.exitCode = 1;
+        return;
+    }
+
+    try {
+        command(positionals, options);
+    } catch (error) {
+        console.error(`Error running ${commandName}: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { parseArgs };
+
+if (require.main === module) {
+    main(process.argv.slice(2));
+}
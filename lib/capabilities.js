@@ -0,0 +1,180 @@
+// Connector types a device can have, in output order
+const connectorTypes = ['din5', 'trs_a', 'trs_b', 'trs', 'usb'];
+
+// Values of midi_thru once normalised; null means unknown
+const thruTypes = ['hardware', 'soft', 'none'];
+
+// Upstream text that means "we don't know"
+const unknownPattern = /^(unknown|n\/a|\?|-)?$/i;
+
+// Upstream text that means yes or no
+const yesPattern = /^(yes|true|y)$/i;
+const noPattern = /^(no|none|false|n)$/i;
+
+// Connector spellings: "DIN5", "5-pin", "3.5mm TRS Type A", "Type B", "RTS", "Tip Active", "USB MIDI"
+const connectorPatterns = [
+    { type: 'din5', pattern: /\bdin\s*-?\s*5?\b|\b5\s*-?\s*pin\b/i },
+    { type: 'trs_a', pattern: /\btype\s*a\b/i },
+    { type: 'trs_b', pattern: /\btype\s*b\b/i },
+    { type: 'trs', pattern: /\btrs\b|\brts\b|\btip active\b|\bring active\b|\b3\.5\s*mm\b/i },
+    { type: 'usb', pattern: /\busb\b/i }
+];
+
+const channelWords = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8,
+    nine: 9, ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16
+};
+
+// A channel number written as digits or as a word
+const channel = `(\\d{1,2}|${Object.keys(channelWords).join('|')})\\b`;
+
+// Sentences that name a default channel: "is set to MIDI channel 2 by default",
+// "The default MIDI Channel for the MF-104M is Channel one", "pre-programmed to use MIDI channel 1"
+const defaultChannelPatterns = [
+    new RegExp(`\\bchannel\\s+${channel}\\s*(?:by default|being the selected channel)`, 'i'),
+    new RegExp(`\\bdefault\\b[^.]*?\\bchannel\\s+(?:is\\s+|of\\s+)?(?:channel\\s+)?${channel}`, 'i'),
+    new RegExp(`\\b(?:by|per) default\\b[^.]*?\\bchannel\\s+${channel}`, 'i'),
+    new RegExp(`\\bpre.?programmed to use midi channel\\s+${channel}`, 'i')
+];
+
+// Function to tell whether an upstream value carries no information
+function isUnknown(value) {
+    return value === undefined || value === null || (typeof value === 'string' && unknownPattern.test(value.trim()));
+}
+
+// Function to parse a yes/no value; returns true, false or null when it cannot tell
+function parseFlag(value) {
+    if (typeof value === 'boolean') return value;
+    if (typeof value !== 'string') return null;
+    if (yesPattern.test(value.trim())) return true;
+    if (noPattern.test(value.trim())) return false;
+    return null;
+}
+
+// Function to list the connectors named by an upstream midi_in value
+function parseConnectors(value) {
+    if (parseFlag(value) === false) return [];
+    if (typeof value !== 'string') return null;
+
+    const found = connectorPatterns.filter(({ pattern }) => pattern.test(value)).map(({ type }) => type);
+    // A typed TRS jack doesn't need the generic entry as well
+    const connectors = found.includes('trs_a') || found.includes('trs_b')
+        ? found.filter(type => type !== 'trs')
+        : found;
+    return connectors.length > 0 ? connectors : null;
+}
+
+// Function to parse midi_thru into hardware, soft or none
+function parseThru(value) {
+    if (typeof value === 'string' && /\bsoft\b/i.test(value)) return 'soft';
+    if (typeof value === 'string' && /\b(hardware|hard|thru|through)\b/i.test(value)) return 'hardware';
+
+    const flag = parseFlag(value);
+    if (flag === null) return null;
+    return flag ? 'hardware' : 'none';
+}
+
+// Function to parse midi_clock into send/receive flags. A plain "yes" means the
+// device follows clock; whether it also sends clock is then unknown.
+function parseClock(value) {
+    if (typeof value === 'string') {
+        const text = value.trim();
+        const send = /\b(send|sends|transmit|transmits|out|master)\b/i.test(text);
+        const receive = /\b(receive|receives|in|sync|syncs|slave|follows?)\b/i.test(text);
+        if (send || receive) {
+            return { send: send ? true : null, receive: receive ? true : null };
+        }
+    }
+
+    const flag = parseFlag(value);
+    if (flag === null) return null;
+    return flag ? { send: null, receive: true } : { send: false, receive: false };
+}
+
+// Function to find the default MIDI channel in midi_channel.instructions
+function parseDefaultChannel(text) {
+    if (typeof text !== 'string' || !text) return null;
+
+    for (const pattern of defaultChannelPatterns) {
+        const match = text.match(pattern);
+        if (!match) continue;
+
+        const word = match[1].toLowerCase();
+        const number = /^\d+$/.test(word) ? parseInt(word, 10) : channelWords[word];
+        if (number >= 1 && number <= 16) return number;
+    }
+    return null;
+}
+
+// Function to create capabilities where nothing is known yet
+function emptyCapabilities() {
+    return {
+        connectors: [],
+        thru: null,
+        clock: { send: null, receive: null },
+        phantom_power: null,
+        unparsed: {}
+    };
+}
+
+// Function to normalise the upstream midi_in, midi_thru, midi_clock and
+// phantom_power values. Values that say something but cannot be parsed are
+// kept verbatim under unparsed.
+function normalizeCapabilities(deviceData) {
+    const capabilities = emptyCapabilities();
+    const parsers = {
+        midi_in: value => parseConnectors(value),
+        midi_thru: value => parseThru(value),
+        midi_clock: value => parseClock(value),
+        phantom_power: value => parseFlag(value)
+    };
+
+    Object.entries(parsers).forEach(([field, parse]) => {
+        const value = deviceData[field];
+        if (isUnknown(value)) return;
+
+        const parsed = parse(value);
+        if (parsed === null) {
+            capabilities.unparsed[field] = typeof value === 'string' ? value : JSON.stringify(value);
+            return;
+        }
+
+        if (field === 'midi_in') capabilities.connectors = parsed;
+        if (field === 'midi_thru') capabilities.thru = parsed;
+        if (field === 'midi_clock') capabilities.clock = parsed;
+        if (field === 'phantom_power') capabilities.phantom_power = parsed;
+    });
+
+    return capabilities;
+}
+
+// Function to merge two capability sets; capsA comes from the higher priority source
+function mergeCapabilities(capsA = emptyCapabilities(), capsB = emptyCapabilities()) {
+    const connectors = new Set([...capsA.connectors, ...capsB.connectors]);
+    // A typed TRS jack from one source explains the generic TRS of the other
+    if (connectors.has('trs_a') || connectors.has('trs_b')) connectors.delete('trs');
+
+    const unparsed = { ...capsB.unparsed, ...capsA.unparsed };
+    return {
+        connectors: connectorTypes.filter(type => connectors.has(type)),
+        thru: capsA.thru ?? capsB.thru,
+        clock: {
+            send: capsA.clock.send ?? capsB.clock.send,
+            receive: capsA.clock.receive ?? capsB.clock.receive
+        },
+        phantom_power: capsA.phantom_power ?? capsB.phantom_power,
+        unparsed
+    };
+}
+
+module.exports = {
+    connectorTypes,
+    thruTypes,
+    parseConnectors,
+    parseThru,
+    parseClock,
+    parseDefaultChannel,
+    emptyCapabilities,
+    normalizeCapabilities,
+    mergeCapabilities
+};
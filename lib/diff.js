@@ -0,0 +1,183 @@
+const { reservedKeys } = require('./sources');
+const { parameterFields, parameterKey } = require('./parameters');
+
+// Parameter fields compared between builds
+const comparedFields = ['name', 'description', 'usage', 'curve', 'min', 'max', 'type'];
+
+// Changed devices listed in the Markdown changelog before it says "and N more"
+const changelogLimit = 50;
+
+// Function to list the devices of a database with the keys used to match them
+function listDevices(db) {
+    const devices = [];
+    Object.entries(db || {}).forEach(([brandName, brandDevices]) => {
+        if (reservedKeys.includes(brandName) || !brandDevices || typeof brandDevices !== 'object') return;
+
+        Object.entries(brandDevices).forEach(([deviceName, device]) => {
+            devices.push({ id: device.id, brand: brandName, device: deviceName, nameKey: `${brandName}/${deviceName}`, data: device });
+        });
+    });
+    return devices;
+}
+
+// Function to key a parameter list, numbering repeats of the same CC or NRPN
+// address so duplicates within one device are compared one to one
+function keyParameters(kind, list = []) {
+    const keyed = new Map();
+    list.forEach(entry => {
+        const baseKey = parameterKey(kind, entry);
+        let key = baseKey;
+        for (let repeat = 2; keyed.has(key); repeat++) {
+            key = `${baseKey}#${repeat}`;
+        }
+        keyed.set(key, entry);
+    });
+    return keyed;
+}
+
+// Function to compare the parameter lists of one device between two builds
+function diffParameters(kind, before, after) {
+    const previous = keyParameters(kind, before);
+    const next = keyParameters(kind, after);
+    const changes = { added: [], removed: [], changed: [] };
+
+    next.forEach((entry, key) => {
+        if (!previous.has(key)) {
+            changes.added.push({ key, name: entry.name });
+            return;
+        }
+        const old = previous.get(key);
+        const fields = comparedFields.filter(field => !Object.is(old[field], entry[field]));
+        if (fields.length > 0) {
+            const pick = source => Object.fromEntries(fields.map(field => [field, source[field]]));
+            changes.changed.push({ key, fields, before: pick(old), after: pick(entry) });
+        }
+    });
+    previous.forEach((entry, key) => {
+        if (!next.has(key)) changes.removed.push({ key, name: entry.name });
+    });
+
+    return changes;
+}
+
+// Function to compare two merged databases. Devices are matched by their stable
+// id, falling back to brand and device name for builds made before ids existed.
+function diffDatabases(previousDb, nextDb) {
+    const previousDevices = listDevices(previousDb);
+    const nextDevices = listDevices(nextDb);
+
+    const previousById = new Map(previousDevices.filter(device => device.id).map(device => [device.id, device]));
+    const previousByName = new Map(previousDevices.map(device => [device.nameKey, device]));
+    const matched = new Set();
+
+    const devices = { added: [], removed: [], changed: [] };
+    const parameters = { added: 0, removed: 0, changed: 0 };
+
+    nextDevices.forEach(device => {
+        const candidate = (device.id && previousById.get(device.id)) || previousByName.get(device.nameKey);
+        const previous = candidate && !matched.has(candidate) ? candidate : null;
+        const label = { id: device.id, brand: device.brand, device: device.device };
+
+        if (!previous) {
+            devices.added.push(label);
+            return;
+        }
+        matched.add(previous);
+
+        const changes = {};
+        parameterFields.forEach(kind => {
+            const kindChanges = diffParameters(kind, previous.data[kind], device.data[kind]);
+            if (kindChanges.added.length + kindChanges.removed.length + kindChanges.changed.length > 0) {
+                changes[kind] = kindChanges;
+                parameters.added += kindChanges.added.length;
+                parameters.removed += kindChanges.removed.length;
+                parameters.changed += kindChanges.changed.length;
+            }
+        });
+        if (previous.nameKey !== device.nameKey) {
+            changes.renamed = { brand: previous.brand, device: previous.device };
+        }
+        if (Object.keys(changes).length > 0) {
+            devices.changed.push({ ...label, ...changes });
+        }
+    });
+
+    previousDevices.forEach(device => {
+        if (!matched.has(device)) {
+            devices.removed.push({ id: device.id, brand: device.brand, device: device.device });
+        }
+    });
+
+    const brandNames = db => new Set(Object.keys(db || {}).filter(key => !reservedKeys.includes(key)));
+    const previousBrands = brandNames(previousDb);
+    const nextBrands = brandNames(nextDb);
+    const brands = {
+        added: [...nextBrands].filter(brand => !previousBrands.has(brand)),
+        removed: [...previousBrands].filter(brand => !nextBrands.has(brand))
+    };
+
+    return {
+        summary: {
+            brands: { added: brands.added.length, removed: brands.removed.length },
+            devices: { added: devices.added.length, removed: devices.removed.length, changed: devices.changed.length },
+            parameters
+        },
+        brands,
+        devices
+    };
+}
+
+// Function to describe one kind of parameter change as "+3 -1 ~2"
+function formatCounts(changes) {
+    return [
+        changes.added.length > 0 ? `+${changes.added.length}` : null,
+        changes.removed.length > 0 ? `-${changes.removed.length}` : null,
+        changes.changed.length > 0 ? `~${changes.changed.length}` : null
+    ].filter(Boolean).join(' ');
+}
+
+// Function to write a diff as a CHANGELOG-style Markdown snippet
+function formatChangelog(diff, title) {
+    const lines = [`## ${title}`, ''];
+    if (!diff) {
+        lines.push('First build - no previous database to compare with.');
+        return lines.join('\n') + '\n';
+    }
+
+    const { summary, brands, devices } = diff;
+    lines.push(
+        `- Brands: ${summary.brands.added} added, ${summary.brands.removed} removed`,
+        `- Devices: ${summary.devices.added} added, ${summary.devices.removed} removed, ${summary.devices.changed} changed`,
+        `- Parameters: ${summary.parameters.added} added, ${summary.parameters.removed} removed, ${summary.parameters.changed} changed`
+    );
+
+    const section = (heading, entries, describe) => {
+        if (entries.length === 0) return;
+        lines.push('', `### ${heading}`, '');
+        entries.slice(0, changelogLimit).forEach(entry => lines.push(`- ${describe(entry)}`));
+        if (entries.length > changelogLimit) {
+            lines.push(`- ...and ${entries.length - changelogLimit} more`);
+        }
+    };
+
+    section('Added brands', brands.added, brand => brand);
+    section('Removed brands', brands.removed, brand => brand);
+    section('Added devices', devices.added, device => `${device.brand} ${device.device}`);
+    section('Removed devices', devices.removed, device => `${device.brand} ${device.device}`);
+    section('Changed devices', devices.changed, device => {
+        const parts = parameterFields
+            .filter(kind => device[kind])
+            .map(kind => `${kind.toUpperCase()} ${formatCounts(device[kind])}`);
+        if (device.renamed) {
+            parts.push(`renamed from ${device.renamed.brand} ${device.renamed.device}`);
+        }
+        return `${device.brand} ${device.device}: ${parts.join(', ')}`;
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    diffDatabases,
+    formatChangelog
+};
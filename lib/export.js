@@ -0,0 +1,178 @@
+// Type used for parameters without one, matching createStandardDevice's default
+const defaultType = 'Parameter';
+
+// Function to group a device's CC and NRPN entries by their type, keeping list order
+function groupByType(device) {
+    const groups = new Map();
+    const add = (type, control) => {
+        const name = type || defaultType;
+        if (!groups.has(name)) groups.set(name, []);
+        groups.get(name).push(control);
+    };
+    (device.cc || []).forEach(entry => add(entry.type, { kind: 'cc', entry }));
+    (device.nrpn || []).forEach(entry => add(entry.type, { kind: 'nrpn', entry }));
+    return groups;
+}
+
+// Function to make a name safe inside an .ins [section] header or key
+function insName(text) {
+    return String(text).replace(/[\[\]\r\n]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Function to render Cakewalk-style .ins instrument definitions. Each device
+// gets controller, NRPN and patch name lists plus an instrument definition
+// tying them together; type groups become comments.
+function renderInstrumentDefinitions(devices) {
+    const controllers = [];
+    const nrpns = [];
+    const patches = [];
+    const instruments = [];
+
+    devices.forEach(device => {
+        const title = insName(`${device.brand} ${device.device_name}`);
+        const controllerLines = new Map();
+        const nrpnLines = new Map();
+
+        groupByType(device).forEach((controls, type) => {
+            controls.forEach(({ kind, entry }) => {
+                // .ins numbers NRPNs as one 14-bit value: MSB * 128 + LSB
+                const number = kind === 'cc' ? entry.value : entry.msb * 128 + entry.lsb;
+                const lines = kind === 'cc' ? controllerLines : nrpnLines;
+                const name = insName(entry.name) || `${kind.toUpperCase()} ${number}`;
+                const range = `${entry.min}-${entry.max}`;
+
+                // Several entries on one number share the line
+                if (lines.has(number)) {
+                    const line = lines.get(number);
+                    line.name += ` / ${name}`;
+                    if (!line.ranges.includes(range)) line.ranges.push(range);
+                } else {
+                    const address = kind === 'nrpn' ? `MSB ${entry.msb} LSB ${entry.lsb}, ` : '';
+                    lines.set(number, { type, name, address, ranges: [range] });
+                }
+            });
+        });
+
+        const section = (target, heading, lines) => {
+            target.push(`[${heading}]`);
+            let currentType = null;
+            lines.forEach(({ type, name, address, ranges }, number) => {
+                if (type !== currentType) {
+                    target.push(`; ${insName(type)}`);
+                    currentType = type;
+                }
+                // .ins has no fields for these, so they go in a comment line above the entry
+                target.push(`; ${address}range ${ranges.join(' / ')}`);
+                target.push(`${number}=${name}`);
+            });
+            target.push('');
+        };
+
+        const definition = [`[${title}]`];
+        if (controllerLines.size > 0) {
+            section(controllers, title, controllerLines);
+            definition.push(`Control=${title}`);
+        }
+        if (nrpnLines.size > 0) {
+            section(nrpns, title, nrpnLines);
+            definition.push(`NRPN=${title}`);
+        }
+
+        const presets = device.pc ? device.pc.presets : [];
+        if (presets.length > 0) {
+            patches.push(`[${title}]`, ...presets.map(preset => `${preset.program}=${insName(preset.name)}`), '');
+            definition.push(`Patch[*]=${title}`);
+        }
+        instruments.push(...definition, '');
+    });
+
+    return [
+        '; MIDI instrument definitions exported from Midi-Device-Database',
+        '',
+        '.Patch Names', '', ...patches,
+        '.Controller Names', '', ...controllers,
+        '.NRPN Names', '', ...nrpns,
+        '.Instrument Definitions', '', ...instruments
+    ].join('\r\n');
+}
+
+// Function to quote a CSV field when it needs it (RFC 4180)
+function csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Function to render a CSV cheat sheet with one row per parameter
+function renderCsv(devices) {
+    const columns = ['brand', 'device', 'id', 'type', 'kind', 'cc', 'nrpn_msb', 'nrpn_lsb', 'name', 'min', 'max', 'description'];
+    const rows = [columns];
+
+    devices.forEach(device => {
+        groupByType(device).forEach((controls, type) => {
+            controls.forEach(({ kind, entry }) => {
+                rows.push([
+                    device.brand, device.device_name, device.id, type, kind,
+                    kind === 'cc' ? entry.value : '',
+                    kind === 'nrpn' ? entry.msb : '',
+                    kind === 'nrpn' ? entry.lsb : '',
+                    entry.name, entry.min, entry.max, entry.description
+                ]);
+            });
+        });
+    });
+
+    return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Function to build the generic controller preset layout for one device
+function controllerPreset(device) {
+    return {
+        format: 'midi-device-database/controller-preset',
+        formatVersion: 1,
+        device: {
+            id: device.id,
+            brand: device.brand,
+            name: device.device_name
+        },
+        midi_channel: device.midi_channel ? device.midi_channel.default_channel : null,
+        groups: [...groupByType(device)].map(([type, controls]) => ({
+            name: type,
+            controls: controls.map(({ kind, entry }) => ({
+                name: entry.name,
+                message: kind,
+                ...(kind === 'cc' ? { cc: entry.value } : { msb: entry.msb, lsb: entry.lsb }),
+                min: entry.min,
+                max: entry.max
+            }))
+        })),
+        programs: device.pc ? device.pc.presets.map(preset => ({ program: preset.program, name: preset.name })) : []
+    };
+}
+
+// Function to render controller presets: one object for a single device, an array for several
+function renderControllerPresets(devices) {
+    const presets = devices.map(controllerPreset);
+    return JSON.stringify(presets.length === 1 ? presets[0] : presets, null, 2) + '\n';
+}
+
+// Export formats, keyed by the name used on the command line
+const exporters = {
+    ins: { extension: '.ins', render: renderInstrumentDefinitions },
+    csv: { extension: '.csv', render: renderCsv },
+    preset: { extension: '.json', render: renderControllerPresets }
+};
+
+// Function to export merged devices (finalDb device objects) in one of the formats
+function exportDevices(devices, format) {
+    const exporter = exporters[format];
+    if (!exporter) {
+        throw new Error(`Unknown export format "${format}" (expected ${Object.keys(exporters).join(', ')})`);
+    }
+    return exporter.render(devices);
+}
+
+module.exports = {
+    exporters,
+    exportDevices,
+    controllerPreset
+};
@@ -0,0 +1,250 @@
+const fs = require('fs');
+const path = require('path');
+const { loadMappings, normalizeAndMapKey, createStandardDevice, rejectUnaddressable, findUnknownFields } = require('../merge');
+const { validateDatabase } = require('./validate');
+const { parseYaml } = require('./yaml');
+const { tagDevice } = require('./tags');
+const { compactKey, slugify } = require('./keys');
+const { defaultMappingPath, brandScope, readMappingFile, writeMappingFile, ensureBrand, ensureModel } = require('./mapping');
+
+// Where imported devices are kept; sources.json reads it as the "local" source
+const defaultOverlayPath = path.join(__dirname, '..', 'local', 'devices.json');
+
+// Spreadsheet columns and the device parameter field each one fills
+const parameterColumns = {
+    cc: 'value',
+    nrpn_msb: 'msb',
+    nrpn_lsb: 'lsb',
+    name: 'name',
+    min: 'min',
+    max: 'max',
+    type: 'type',
+    description: 'description',
+    usage: 'usage',
+    curve: 'curve'
+};
+
+// Columns holding numbers; they must be whole numbers, because the merge reads
+// "0x4A" or "71.5" as CC 0 or 71 without complaint
+const numberColumns = ['cc', 'nrpn_msb', 'nrpn_lsb', 'min', 'max'];
+
+// Parameter fields holding numbers, checked the same way in YAML/JSON device files
+const numberFields = ['value', 'msb', 'lsb', 'min', 'max'];
+
+// Function to tell whether a value is a whole number or a string holding one
+function isWholeNumber(value) {
+    return Number.isInteger(value) ? value >= 0 : typeof value === 'string' && /^\d+$/.test(value.trim());
+}
+
+// Columns naming the device a row belongs to, and columns the CSV export adds that are ignored
+const deviceColumns = ['brand', 'device'];
+const ignoredColumns = ['id', 'kind'];
+
+// Function to split CSV/TSV text into rows of fields (RFC 4180 quoting)
+function parseDelimited(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Function to read a CC chart spreadsheet export into devices with cc/nrpn lists
+function readSpreadsheet(text, delimiter, defaults) {
+    const [header, ...rows] = parseDelimited(text, delimiter);
+    if (!header) throw new Error('The file is empty');
+
+    const columns = header.map(cell => cell.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+    const unknown = columns.filter(column => !parameterColumns[column] && !deviceColumns.includes(column) && !ignoredColumns.includes(column));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown column(s): ${unknown.join(', ')} (expected ${[...Object.keys(parameterColumns), ...deviceColumns].join(', ')})`);
+    }
+    if (!columns.includes('name') || (!columns.includes('cc') && !columns.includes('nrpn_msb'))) {
+        throw new Error('A spreadsheet needs a name column and a cc or nrpn_msb/nrpn_lsb column');
+    }
+
+    const devices = new Map();
+    rows.forEach((cells, rowIndex) => {
+        const values = {};
+        columns.forEach((column, index) => {
+            const value = (cells[index] || '').trim();
+            if (value === '') return;
+            if (numberColumns.includes(column) && !isWholeNumber(value)) {
+                throw new Error(`Row ${rowIndex + 2}: ${column} "${value}" is not a whole number`);
+            }
+            values[column] = numberColumns.includes(column) ? Number(value) : value;
+        });
+
+        const brand = values.brand || defaults.brand;
+        const device = values.device || defaults.device;
+        if (!brand || !device) {
+            throw new Error(`Row ${rowIndex + 2}: no brand/device column and no --brand/--device given`);
+        }
+
+        const key = `${brand}\u0000${device}`;
+        if (!devices.has(key)) {
+            devices.set(key, { brand, device, data: { cc: [], nrpn: [] } });
+        }
+
+        const entry = {};
+        Object.entries(parameterColumns).forEach(([column, field]) => {
+            if (values[column] !== undefined) entry[field] = values[column];
+        });
+        const kind = values.cc !== undefined ? 'cc' : 'nrpn';
+        devices.get(key).data[kind].push(entry);
+    });
+
+    return [...devices.values()];
+}
+
+// Function to read a YAML/JSON device file: one device, or { devices: [...] }
+function readStructured(parsed, defaults) {
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('A device file must hold one device object or { "devices": [...] }');
+    }
+
+    const devices = Array.isArray(parsed.devices) ? parsed.devices : [parsed];
+    return devices.map((raw, index) => {
+        const { brand = defaults.brand, device, device_name: deviceName = device || defaults.device, ...data } = raw;
+        if (!brand || !deviceName) {
+            throw new Error(`Device #${index + 1} needs "brand" and "device_name" (or --brand/--device)`);
+        }
+        return { brand, device: deviceName, data };
+    });
+}
+
+// Function to read a contributed device file by its extension
+function readDeviceFile(filePath, defaults = {}) {
+    const text = fs.readFileSync(filePath, 'utf8').replace(/^﻿/, '');
+    const extension = path.extname(filePath).toLowerCase();
+
+    if (extension === '.csv') return readSpreadsheet(text, ',', defaults);
+    if (extension === '.tsv' || extension === '.tab') return readSpreadsheet(text, '\t', defaults);
+    if (extension === '.json') return readStructured(JSON.parse(text), defaults);
+    if (extension === '.yaml' || extension === '.yml') return readStructured(parseYaml(text), defaults);
+
+    throw new Error(`Don't know how to import ${extension || 'files without an extension'} (use .csv, .tsv, .json, .yaml or .yml)`);
+}
+
+// Function to check one imported device with the merge's own rules; returns error messages
+function checkDevice(entry, brandValue, modelValue) {
+    const errors = [];
+
+    findUnknownFields(entry.data).forEach(field => errors.push(`unknown field "${field}"`));
+    ['cc', 'nrpn'].forEach(kind => {
+        (Array.isArray(entry.data[kind]) ? entry.data[kind] : []).forEach(parameter => {
+            numberFields
+                .filter(field => ![undefined, null, ''].includes(parameter[field]) && !isWholeNumber(parameter[field]))
+                .forEach(field => errors.push(`${kind} "${parameter.name}" ${field} ${JSON.stringify(parameter[field])} is not a whole number`));
+        });
+    });
+
+    const device = createStandardDevice(entry.data, entry.brand, entry.device);
+    // Numbers that are there but malformed were reported above
+    rejectUnaddressable(device)
+        .filter(({ field, entry: parameter }) => parameter[field] === undefined)
+        .forEach(({ kind, entry: parameter }) => {
+            errors.push(`${kind} "${parameter.name}" has no usable ${kind === 'nrpn' ? 'MSB/LSB' : 'CC number'}`);
+        });
+    tagDevice(device);
+
+    const db = { [entry.brand]: { [entry.device]: { id: `${slugify(brandValue)}/${slugify(modelValue)}`, ...device } } };
+    validateDatabase(db).forEach(error => errors.push(`${error.path}: ${error.message}`));
+
+    return errors;
+}
+
+// Function to import contributed devices: validate them, register their brand and
+// model in mapping.json and store them in the local overlay source
+function importDevices(entries, options = {}) {
+    const mappingPath = options.mappingPath || defaultMappingPath;
+    const overlayPath = options.overlayPath || defaultOverlayPath;
+
+    const mapping = readMappingFile(mappingPath);
+    const { manufacturerMapping, deviceMapping, brandDisplayNames } = loadMappings(mappingPath);
+    const overlay = fs.existsSync(overlayPath) ? JSON.parse(fs.readFileSync(overlayPath, 'utf8')) : {};
+
+    const imported = [];
+    const problems = [];
+
+    entries.forEach(entry => {
+        // Reuse existing mapping.json entries, otherwise register the names as given
+        const brandMatch = normalizeAndMapKey(entry.brand, manufacturerMapping, brandDisplayNames);
+        const { brand, added: brandAdded } = ensureBrand(mapping, brandMatch.match ? brandMatch.normalized : compactKey(entry.brand), entry.brand);
+
+        const deviceMatch = normalizeAndMapKey(entry.device, deviceMapping[brandScope(brand.value)] || {});
+        const { model, added: modelAdded } = ensureModel(brand, deviceMatch.match ? deviceMatch.normalized : compactKey(entry.device), entry.device);
+
+        const errors = checkDevice(entry, brand.value, model.value);
+        if (errors.length > 0) {
+            problems.push(...errors.map(error => `${entry.brand} ${entry.device}: ${error}`));
+            return;
+        }
+
+        overlay[brand.value] = overlay[brand.value] || {};
+        overlay[brand.value][model.value] = { brand: brand.name, device_name: model.name, ...entry.data };
+        imported.push({
+            brand: brand.name,
+            device: model.name,
+            id: `${slugify(brand.value)}/${slugify(model.value)}`,
+            brandAdded,
+            modelAdded,
+            cc: (entry.data.cc || []).length,
+            nrpn: (entry.data.nrpn || []).length
+        });
+    });
+
+    // Nothing is written unless every device is valid
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(`- ${problem}`));
+        throw new Error(`Import failed with ${problems.length} problem(s)`);
+    }
+
+    if (!options.dryRun) {
+        writeMappingFile(mapping, mappingPath);
+        fs.mkdirSync(path.dirname(overlayPath), { recursive: true });
+        fs.writeFileSync(overlayPath, JSON.stringify(overlay, null, 2) + '\n');
+    }
+
+    return imported;
+}
+
+module.exports = {
+    defaultOverlayPath,
+    parameterColumns,
+    parseDelimited,
+    readDeviceFile,
+    importDevices
+};
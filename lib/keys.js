@@ -0,0 +1,124 @@
+// Minimum score for a mapping.json entry to be suggested for an unmapped key
+const suggestionThreshold = 0.5;
+
+// Function to lowercase a key and strip diacritics: "Mäander" -> "maander"
+function foldKey(key) {
+    return String(key).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// Function to split a key into words, also between letters and digits:
+// "Deckard's_Dream MK2" -> ["deckard", "s", "dream", "mk", "2"]
+function keyTokens(key) {
+    return foldKey(key)
+        .replace(/([a-z])(\d)/g, '$1 $2')
+        .replace(/(\d)([a-z])/g, '$1 $2')
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+}
+
+// Function to reduce a key to letters and digits only: "3_Degrees Audio" -> "3degreesaudio"
+function compactKey(key) {
+    return keyTokens(key).join('');
+}
+
+// Function to turn a key into a URL and file name safe slug: "dd_500" -> "dd-500"
+function slugify(key) {
+    return foldKey(key).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Function to compare two keys by code unit, so the order doesn't depend on the locale
+function compareKeys(a, b) {
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+}
+
+// Function to reduce a key to its sorted words, so word order doesn't matter
+function tokenSetKey(key) {
+    return [...new Set(keyTokens(key))].sort().join(' ');
+}
+
+// Function to count the single-character edits between two strings (Levenshtein)
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Function to score two keys between 0 and 1 by edit distance and shared words
+function keySimilarity(a, b) {
+    const compactA = compactKey(a);
+    const compactB = compactKey(b);
+    const longest = Math.max(compactA.length, compactB.length);
+    if (longest === 0) return 0;
+
+    const editScore = 1 - editDistance(compactA, compactB) / longest;
+
+    const tokensA = new Set(keyTokens(a));
+    const tokensB = new Set(keyTokens(b));
+    const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+    const tokenScore = (2 * shared) / (tokensA.size + tokensB.size);
+
+    return Math.max(editScore, tokenScore);
+}
+
+// Function to index a mapping table by folded forms of its keys. Folded forms
+// that point at more than one target are left out, so they never guess.
+function buildFoldedIndex(mappingTable) {
+    const index = {};
+    const add = (foldedKey, target) => {
+        if (!foldedKey) return;
+        if (index[foldedKey] === undefined) {
+            index[foldedKey] = target;
+        } else if (index[foldedKey] !== target) {
+            index[foldedKey] = null;
+        }
+    };
+
+    Object.entries(mappingTable).forEach(([key, target]) => {
+        add(`compact:${compactKey(key)}`, target);
+        add(`tokens:${tokenSetKey(key)}`, target);
+    });
+    return index;
+}
+
+// Function to look a key up by its folded forms; returns the target or null
+function lookupFolded(key, foldedIndex) {
+    return foldedIndex[`compact:${compactKey(key)}`] || foldedIndex[`tokens:${tokenSetKey(key)}`] || null;
+}
+
+// Function to rank mapping.json entries ({ value, name }) as targets for an unmapped key
+function suggestTargets(key, candidates, limit = 3) {
+    return candidates
+        .map(candidate => ({
+            value: candidate.value,
+            name: candidate.name,
+            score: Math.max(keySimilarity(key, candidate.value), keySimilarity(key, candidate.name || candidate.value))
+        }))
+        .filter(candidate => candidate.score >= suggestionThreshold)
+        .sort((a, b) => b.score - a.score || compareKeys(a.value, b.value))
+        .slice(0, limit)
+        .map(candidate => ({ ...candidate, score: Math.round(candidate.score * 100) / 100 }));
+}
+
+module.exports = {
+    foldKey,
+    keyTokens,
+    compactKey,
+    slugify,
+    compareKeys,
+    editDistance,
+    keySimilarity,
+    buildFoldedIndex,
+    lookupFolded,
+    suggestTargets
+};
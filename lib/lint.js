@@ -0,0 +1,149 @@
+const { reservedKeys } = require('./sources');
+const { formatPath } = require('./validate');
+const { hasProgramChange } = require('./program-change');
+
+// Generic names upstream tools generate for unnamed controls, e.g. "Parameter 12"
+const placeholderNamePattern = /^(parameter|param|control|controller|knob|cc)\s*#?\s*\d+$/i;
+
+// Template descriptions that say nothing about the parameter
+const boilerplateDescriptionPatterns = [
+    /^description of function$/i,
+    /^(set|controls?)( the)?( first| effect)? parameter( \d+)?( of the current effect in use)?$/i,
+    /^controls (the )?(first|second|third|\w+th) effect parameter$/i
+];
+
+// Function to check that a MIDI data byte is within 0-127
+function isDataByte(value) {
+    return Number.isInteger(value) && value >= 0 && value <= 127;
+}
+
+// Function to report numbers used by more than one entry of a parameter list
+function findDuplicates(entries, keyOf) {
+    const indexesByKey = {};
+    entries.forEach((entry, index) => {
+        const key = keyOf(entry);
+        (indexesByKey[key] = indexesByKey[key] || []).push(index);
+    });
+    return Object.entries(indexesByKey).filter(([, indexes]) => indexes.length > 1);
+}
+
+// Lint rules: each returns { category, path, message } warnings for one device
+const lintRules = [
+    function duplicateNumbers(device) {
+        const warnings = [];
+        findDuplicates(device.cc, entry => entry.value).forEach(([value, indexes]) => {
+            warnings.push({
+                category: 'duplicate-cc',
+                path: ['cc', indexes[0]],
+                message: `CC ${value} is used by ${indexes.length} entries: ${indexes.map(index => JSON.stringify(device.cc[index].name)).join(', ')}`
+            });
+        });
+        findDuplicates(device.nrpn, entry => `${entry.msb}:${entry.lsb}`).forEach(([address, indexes]) => {
+            warnings.push({
+                category: 'duplicate-nrpn',
+                path: ['nrpn', indexes[0]],
+                message: `NRPN ${address} is used by ${indexes.length} entries: ${indexes.map(index => JSON.stringify(device.nrpn[index].name)).join(', ')}`
+            });
+        });
+        return warnings;
+    },
+
+    function outOfRange(device) {
+        const warnings = [];
+        device.cc.forEach((entry, index) => {
+            if (!isDataByte(entry.value)) {
+                warnings.push({ category: 'cc-out-of-range', path: ['cc', index, 'value'], message: `CC number ${entry.value} is outside 0-127` });
+            }
+        });
+        device.nrpn.forEach((entry, index) => {
+            ['msb', 'lsb'].forEach(field => {
+                if (!isDataByte(entry[field])) {
+                    warnings.push({ category: 'nrpn-out-of-range', path: ['nrpn', index, field], message: `NRPN ${field.toUpperCase()} ${entry[field]} is outside 0-127` });
+                }
+            });
+        });
+        return warnings;
+    },
+
+    function emptyDevice(device) {
+        if (device.cc.length + device.nrpn.length > 0 || hasProgramChange(device.pc)) return [];
+        return [{ category: 'empty-device', path: [], message: 'device has no CC, NRPN or PC entries' }];
+    },
+
+    function placeholders(device) {
+        const warnings = [];
+        ['cc', 'nrpn'].forEach(kind => {
+            device[kind].forEach((entry, index) => {
+                if (placeholderNamePattern.test(entry.name.trim())) {
+                    warnings.push({ category: 'placeholder-name', path: [kind, index, 'name'], message: `generic name ${JSON.stringify(entry.name)}` });
+                }
+                const description = entry.description.trim();
+                if (boilerplateDescriptionPatterns.some(pattern => pattern.test(description))) {
+                    warnings.push({ category: 'boilerplate-description', path: [kind, index, 'description'], message: `template description ${JSON.stringify(description)}` });
+                }
+            });
+        });
+        return warnings;
+    }
+];
+
+// Function to run every lint rule over a merged database
+function lintDatabase(db) {
+    const warnings = [];
+
+    Object.entries(db).forEach(([brandName, devices]) => {
+        if (reservedKeys.includes(brandName)) return;
+
+        Object.entries(devices).forEach(([deviceName, device]) => {
+            const normalizedDevice = {
+                ...device,
+                cc: device.cc || [],
+                nrpn: device.nrpn || []
+            };
+            lintRules.forEach(rule => {
+                rule(normalizedDevice).forEach(warning => {
+                    warnings.push({
+                        category: warning.category,
+                        brand: brandName,
+                        device: deviceName,
+                        path: formatPath([brandName, deviceName, ...warning.path]),
+                        message: warning.message
+                    });
+                });
+            });
+        });
+    });
+
+    const counts = {};
+    warnings.forEach(warning => {
+        counts[warning.category] = (counts[warning.category] || 0) + 1;
+    });
+
+    return { total: warnings.length, counts, warnings };
+}
+
+// Function to summarise a lint report for people: counts per category plus examples
+function formatLintSummary(report, examplesPerCategory = 3) {
+    if (report.total === 0) {
+        return 'No lint warnings';
+    }
+
+    const lines = [`${report.total} lint warning(s):`];
+    Object.entries(report.counts)
+        .sort(([, a], [, b]) => b - a)
+        .forEach(([category, count]) => {
+            lines.push(`- ${category}: ${count}`);
+            report.warnings
+                .filter(warning => warning.category === category)
+                .slice(0, examplesPerCategory)
+                .forEach(warning => lines.push(`    ${warning.path}: ${warning.message}`));
+        });
+    return lines.join('\n');
+}
+
+module.exports = {
+    placeholderNamePattern,
+    lintRules,
+    lintDatabase,
+    formatLintSummary
+};
@@ -0,0 +1,373 @@
+const fs = require('fs');
+const path = require('path');
+const { compactKey, slugify, compareKeys } = require('./keys');
+
+const defaultMappingPath = path.join(__dirname, '..', 'mapping.json');
+
+// Words upstream appends to brand keys: "boss_music", "strymonengineering"
+const brandSuffixes = ['music', 'audio', 'electronics', 'pedals', 'effects', 'engineering'];
+
+// Function to drop repeated entries from a list, keeping the first
+function unique(list) {
+    return [...new Set(list)];
+}
+
+// Function to list the keys a brand is looked up under: its value, its name with
+// spaces, underscores or dashes, the common suffixes and any aliases
+function brandVariants(brand) {
+    const value = brand.value;
+    const name = brand.name.toLowerCase();
+    return unique([
+        value,
+        name,
+        name.replace(/\s+/g, ''),
+        name.replace(/\s+/g, '_'),
+        name.replace(/\s+/g, '-'),
+        ...brandSuffixes.flatMap(suffix => [`${value}_${suffix}`, `${value}${suffix}`]),
+        value.replace(/-/g, '_'),
+        value.replace(/_/g, '-'),
+        ...(brand.aliases || [])
+    ]);
+}
+
+// Function to list the keys a model is looked up under within its brand
+function modelVariants(model) {
+    const value = model.value;
+    const name = (model.name || value).toLowerCase();
+    return unique([
+        value,
+        name,
+        name.replace(/\s+/g, ''),
+        name.replace(/\s+/g, '_'),
+        name.replace(/\s+/g, '-'),
+        value.replace(/-/g, '_'),
+        value.replace(/_/g, '-'),
+        value.replace(/\./g, ''),
+        // Roman numerals and MK versions
+        value.replace(/mk(\d+)/i, 'mark$1'),
+        value.replace(/mark(\d+)/i, 'mk$1'),
+        value.replace(/mkii/i, 'mk2'),
+        value.replace(/mk2/i, 'mkii'),
+        ...(model.aliases || [])
+    ]);
+}
+
+// Function to turn a brand value into the key its models are scoped under: the
+// form normalizeAndMapKey gives a matched brand ("OPFXS" -> "opfxs")
+function brandScope(value) {
+    return value.toLowerCase().replace(/\s+/g, '_');
+}
+
+// Function to read mapping.json as it is stored: { brands: [{ name, value, aliases, models }] }
+function readMappingFile(mappingPath = defaultMappingPath) {
+    return JSON.parse(fs.readFileSync(mappingPath, 'utf8'));
+}
+
+// Function to sort brands and their models by value, so edits give small diffs
+function sortMapping(mapping) {
+    mapping.brands.sort((a, b) => compareKeys(a.value, b.value));
+    mapping.brands.forEach(brand => {
+        (brand.models || []).sort((a, b) => compareKeys(a.value, b.value));
+    });
+    return mapping;
+}
+
+// Function to write mapping.json back, sorted, with two-space indentation
+function writeMappingFile(mapping, mappingPath = defaultMappingPath) {
+    fs.writeFileSync(mappingPath, JSON.stringify(sortMapping(mapping), null, 2) + '\n');
+}
+
+// Function to list integrity problems: missing names or values, duplicate values,
+// entries that would get the same device ID, and lookup keys claimed by two entries
+function checkMapping(mapping) {
+    const problems = [];
+    const isText = value => typeof value === 'string' && value.trim() !== '';
+    const isAliasList = aliases => aliases === undefined || (Array.isArray(aliases) && aliases.every(isText));
+
+    if (!mapping || !Array.isArray(mapping.brands)) {
+        return ['mapping.json needs a "brands" list'];
+    }
+
+    const brandsByValue = {};
+    const brandsBySlug = {};
+    const brandKeys = {};
+
+    mapping.brands.forEach((brand, index) => {
+        if (!isText(brand.value) || !isText(brand.name)) {
+            problems.push(`brand #${index + 1} (${brand.name || brand.value || 'unnamed'}) needs a name and a value`);
+            return;
+        }
+        if (!isAliasList(brand.aliases)) {
+            problems.push(`brand ${brand.value}: aliases must be a list of keys`);
+            return;
+        }
+        (brandsByValue[brand.value] = brandsByValue[brand.value] || []).push(brand);
+        (brandsBySlug[slugify(brand.value)] = brandsBySlug[slugify(brand.value)] || new Set()).add(brand.value);
+        brandVariants(brand).forEach(key => {
+            (brandKeys[key] = brandKeys[key] || new Set()).add(brand.value);
+        });
+
+        // Model keys are scoped to their brand, so only models of one brand can collide
+        const modelsByValue = {};
+        const modelsBySlug = {};
+        const modelKeys = {};
+        (brand.models || []).forEach((model, modelIndex) => {
+            if (!isText(model.value)) {
+                problems.push(`brand ${brand.value}: model #${modelIndex + 1} (${model.name || 'unnamed'}) has no value`);
+                return;
+            }
+            if (!isAliasList(model.aliases)) {
+                problems.push(`brand ${brand.value}: model ${model.value}: aliases must be a list of keys`);
+                return;
+            }
+            (modelsByValue[model.value] = modelsByValue[model.value] || []).push(model);
+            (modelsBySlug[slugify(model.value)] = modelsBySlug[slugify(model.value)] || new Set()).add(model.value);
+            modelVariants(model).forEach(key => {
+                (modelKeys[key] = modelKeys[key] || new Set()).add(model.value);
+            });
+        });
+
+        Object.entries(modelsByValue)
+            .filter(([, models]) => models.length > 1)
+            .forEach(([value, models]) => problems.push(`brand ${brand.value}: model value ${value} is listed ${models.length} times`));
+        Object.entries(modelsBySlug)
+            .filter(([, values]) => values.size > 1)
+            .forEach(([slug, values]) => problems.push(`brand ${brand.value}: models ${[...values].join(', ')} would all get the ID ${slugify(brand.value)}/${slug}`));
+        Object.entries(modelKeys)
+            .filter(([, values]) => values.size > 1)
+            .forEach(([key, values]) => problems.push(`brand ${brand.value}: key "${key}" matches models ${[...values].join(', ')}`));
+    });
+
+    Object.entries(brandsByValue)
+        .filter(([, brands]) => brands.length > 1)
+        .forEach(([value, brands]) => problems.push(`brand value ${value} is listed ${brands.length} times`));
+    Object.entries(brandsBySlug)
+        .filter(([, values]) => values.size > 1)
+        .forEach(([slug, values]) => problems.push(`brands ${[...values].join(', ')} would all get IDs starting with ${slug}/`));
+    Object.entries(brandKeys)
+        .filter(([, values]) => values.size > 1)
+        .forEach(([key, values]) => problems.push(`key "${key}" matches brands ${[...values].join(', ')}`));
+
+    return problems;
+}
+
+// Function to find a brand by value, name or compacted spelling
+function findBrand(mapping, ref) {
+    return mapping.brands.find(brand => brand.value === ref) ||
+        mapping.brands.find(brand => compactKey(brand.value) === compactKey(ref) || compactKey(brand.name) === compactKey(ref)) ||
+        null;
+}
+
+// Function to find a model of a brand by value, name or compacted spelling
+function findModel(brand, ref) {
+    const models = brand.models || [];
+    return models.find(model => model.value === ref) ||
+        models.find(model => compactKey(model.value) === compactKey(ref) || compactKey(model.name || '') === compactKey(ref)) ||
+        null;
+}
+
+// Function to find a brand entry by value, adding { name, value, models } if missing
+function ensureBrand(mapping, value, name) {
+    const existing = findBrand(mapping, value);
+    if (existing) return { brand: existing, added: false };
+
+    const brand = { name, value: value || compactKey(name), models: [] };
+    mapping.brands.push(brand);
+    return { brand, added: true };
+}
+
+// Function to find a model of a brand by value, adding { name, value } if missing
+function ensureModel(brand, value, name) {
+    brand.models = brand.models || [];
+    const existing = brand.models.find(model => model.value === value);
+    if (existing) return { model: existing, added: false };
+
+    const model = { name, value: value || compactKey(name) };
+    brand.models.push(model);
+    return { model, added: true };
+}
+
+// Function to look up a brand for a command, failing with a helpful message
+function requireBrand(mapping, ref) {
+    const brand = findBrand(mapping, ref);
+    if (!brand) throw new Error(`mapping.json has no brand "${ref}"`);
+    return brand;
+}
+
+// Function to look up a model for a command, failing with a helpful message
+function requireModel(brand, ref) {
+    const model = findModel(brand, ref);
+    if (!model) throw new Error(`Brand ${brand.value} has no model "${ref}"`);
+    return model;
+}
+
+// Function to add old lookup keys to an entry's aliases, so upstream spellings keep matching
+function addAliases(entry, keys) {
+    const variants = new Set([entry.value, ...(entry.aliases || [])]);
+    const added = keys.filter(key => key && !variants.has(key));
+    if (added.length > 0) {
+        entry.aliases = unique([...(entry.aliases || []), ...added]).sort(compareKeys);
+    }
+}
+
+// Mapping changes. Each edits the mapping in place and returns a summary plus
+// the device IDs it touches: { brand, model } slugs, model null for a whole brand.
+const mappingCommands = {
+    'add-brand': (mapping, [name], options) => {
+        if (!name) throw new Error('add-brand needs a brand name');
+        const value = options.value || compactKey(name);
+        if (findBrand(mapping, value) || findBrand(mapping, name)) {
+            throw new Error(`mapping.json already has a brand matching "${name}"`);
+        }
+        mapping.brands.push({ name, value, models: [] });
+        return { summary: `Added brand ${name} (${value})`, affects: [{ brand: value, model: null, change: 'now mapped to this brand' }] };
+    },
+
+    'add-model': (mapping, [brandRef, name], options) => {
+        if (!name) throw new Error('add-model needs a brand and a model name');
+        const brand = requireBrand(mapping, brandRef);
+        const value = options.value || compactKey(name);
+        if (findModel(brand, value) || findModel(brand, name)) {
+            throw new Error(`Brand ${brand.value} already has a model matching "${name}"`);
+        }
+        brand.models = brand.models || [];
+        brand.models.push({ name, value });
+        return { summary: `Added model ${brand.name} ${name} (${value})`, affects: [{ brand: brand.value, model: value, change: 'now mapped to this model' }] };
+    },
+
+    'rename-brand': (mapping, [brandRef], options) => {
+        const brand = requireBrand(mapping, brandRef);
+        const oldValue = brand.value;
+        if (!options.name && !options.value) throw new Error('rename-brand needs --name and/or --value');
+        if (options.value && options.value !== oldValue && findBrand(mapping, options.value)) {
+            throw new Error(`mapping.json already has a brand with value ${options.value}`);
+        }
+
+        if (options.name) brand.name = options.name;
+        if (options.value && options.value !== oldValue) {
+            brand.value = options.value;
+            addAliases(brand, [oldValue]);
+        }
+        const change = brand.value !== oldValue
+            ? `ID prefix ${slugify(oldValue)}/ becomes ${slugify(brand.value)}/`
+            : `brand shown as ${brand.name}`;
+        return { summary: `Renamed brand ${oldValue} to ${brand.name} (${brand.value})`, affects: [{ brand: oldValue, model: null, change }] };
+    },
+
+    'rename-model': (mapping, [brandRef, modelRef], options) => {
+        const brand = requireBrand(mapping, brandRef);
+        const model = requireModel(brand, modelRef);
+        const oldValue = model.value;
+        if (!options.name && !options.value) throw new Error('rename-model needs --name and/or --value');
+        if (options.value && options.value !== oldValue && findModel(brand, options.value)) {
+            throw new Error(`Brand ${brand.value} already has a model with value ${options.value}`);
+        }
+
+        if (options.name) model.name = options.name;
+        if (options.value && options.value !== oldValue) {
+            model.value = options.value;
+            addAliases(model, [oldValue]);
+        }
+        const change = model.value !== oldValue
+            ? `ID becomes ${slugify(brand.value)}/${slugify(model.value)}`
+            : `device shown as ${model.name}`;
+        return { summary: `Renamed model ${brand.value}/${oldValue} to ${model.name} (${model.value})`, affects: [{ brand: brand.value, model: oldValue, change }] };
+    },
+
+    'merge-brands': (mapping, [fromRef, intoRef]) => {
+        if (!intoRef) throw new Error('merge-brands needs the brand to merge and the brand to merge it into');
+        const from = requireBrand(mapping, fromRef);
+        const into = requireBrand(mapping, intoRef);
+        if (from === into) throw new Error(`${fromRef} and ${intoRef} are the same brand`);
+
+        // Models both brands list become one; the target's name wins
+        into.models = into.models || [];
+        (from.models || []).forEach(model => {
+            const existing = into.models.find(candidate => candidate.value === model.value);
+            if (existing) {
+                addAliases(existing, model.aliases || []);
+            } else {
+                into.models.push(model);
+            }
+        });
+        addAliases(into, [from.value, from.name.toLowerCase(), ...(from.aliases || [])]);
+        mapping.brands.splice(mapping.brands.indexOf(from), 1);
+
+        return {
+            summary: `Merged brand ${from.value} into ${into.value}`,
+            affects: [
+                { brand: from.value, model: null, change: `moves to ${into.name} (${slugify(into.value)}/...)` },
+                { brand: into.value, model: null, change: `gains the devices of ${from.name}` }
+            ]
+        };
+    },
+
+    'merge-models': (mapping, [brandRef, fromRef, intoRef]) => {
+        if (!intoRef) throw new Error('merge-models needs a brand, the model to merge and the model to merge it into');
+        const brand = requireBrand(mapping, brandRef);
+        const from = requireModel(brand, fromRef);
+        const into = requireModel(brand, intoRef);
+        if (from === into) throw new Error(`${fromRef} and ${intoRef} are the same model`);
+
+        addAliases(into, [from.value, (from.name || '').toLowerCase(), ...(from.aliases || [])]);
+        brand.models.splice(brand.models.indexOf(from), 1);
+
+        return {
+            summary: `Merged model ${brand.value}/${from.value} into ${into.value}`,
+            affects: [
+                { brand: brand.value, model: from.value, change: `merges into ${slugify(brand.value)}/${slugify(into.value)}` },
+                { brand: brand.value, model: into.value, change: `gains the data of ${from.name || from.value}` }
+            ]
+        };
+    }
+};
+
+// Function to run a mapping change and refuse it if it adds integrity problems.
+// Problems the file already had are returned but don't block the change.
+function changeMapping(mapping, command, args = [], options = {}) {
+    const change = mappingCommands[command];
+    if (!change) {
+        throw new Error(`Unknown mapping command "${command}" (expected check, ${Object.keys(mappingCommands).join(', ')})`);
+    }
+
+    const before = new Set(checkMapping(mapping));
+    const result = change(mapping, args, options);
+    const problems = checkMapping(mapping);
+    const introduced = problems.filter(problem => !before.has(problem));
+    if (introduced.length > 0) {
+        throw new Error(`${command} would break mapping.json:\n${introduced.map(problem => `- ${problem}`).join('\n')}`);
+    }
+
+    return { ...result, problems };
+}
+
+// Function to find the merged devices a change affects, by their device ID
+function affectedDevices(devices, affects) {
+    return affects.map(affect => {
+        const prefix = affect.model === null
+            ? `${slugify(affect.brand)}/`
+            : `${slugify(affect.brand)}/${slugify(affect.model)}`;
+        const matches = devices.filter(device => affect.model === null
+            ? device.id.startsWith(prefix)
+            : device.id === prefix || device.id.startsWith(`${prefix}-`));
+        return { ...affect, devices: matches };
+    });
+}
+
+module.exports = {
+    defaultMappingPath,
+    brandVariants,
+    modelVariants,
+    brandScope,
+    readMappingFile,
+    sortMapping,
+    writeMappingFile,
+    checkMapping,
+    findBrand,
+    findModel,
+    ensureBrand,
+    ensureModel,
+    mappingCommands,
+    changeMapping,
+    affectedDevices
+};
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const { parseYaml } = require('./yaml');
+const { sha256 } = require('./versioning');
+const { compareKeys } = require('./keys');
+
+// Patch files live at overrides/<brand>/<device>.json, named after the device ID they patch
+const defaultOverridesDirectory = path.join(__dirname, '..', 'overrides');
+
+// Keys a patch file may use
+const overrideKeys = ['reason', 'set', 'cc', 'nrpn', 'hide', 'merge', 'separate'];
+
+// Fields "set" can't touch: the ID and brand come from mapping.json, parameters have their own keys
+const protectedFields = ['id', 'brand', 'cc', 'nrpn', '_sources'];
+
+// Patch keys for each parameter list: a CC number, or an NRPN MSB:LSB address
+const parameterKeyPatterns = {
+    cc: /^\d+$/,
+    nrpn: /^\d+:\d+$/
+};
+
+// Function to list patch files below a directory, sorted by byte order so they
+// apply in the same order on every machine, whatever its locale
+function listOverrideFiles(directory, prefix = '') {
+    if (!fs.existsSync(directory)) return [];
+
+    return fs.readdirSync(directory, { withFileTypes: true })
+        .sort((a, b) => compareKeys(a.name, b.name))
+        .flatMap(entry => {
+            const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) return listOverrideFiles(path.join(directory, entry.name), relative);
+            return /\.(json|ya?ml)$/i.test(entry.name) ? [relative] : [];
+        });
+}
+
+// Function to check a patch file's shape; returns error messages
+function checkOverride(override) {
+    const errors = [];
+    const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+
+    if (!isObject(override)) return ['a patch file must hold an object'];
+
+    Object.keys(override)
+        .filter(key => !overrideKeys.includes(key))
+        .forEach(key => errors.push(`unknown key "${key}" (expected ${overrideKeys.join(', ')})`));
+
+    if (override.set !== undefined) {
+        if (!isObject(override.set)) {
+            errors.push('"set" must map field paths to values');
+        } else {
+            Object.keys(override.set)
+                .filter(field => protectedFields.includes(field.split('.')[0]))
+                .forEach(field => errors.push(`"set" can't change ${field}`));
+        }
+    }
+    Object.entries(parameterKeyPatterns).forEach(([kind, pattern]) => {
+        if (override[kind] === undefined) return;
+        if (!isObject(override[kind])) {
+            errors.push(`"${kind}" must map ${kind === 'cc' ? 'CC numbers' : 'MSB:LSB addresses'} to entries or null`);
+            return;
+        }
+        Object.entries(override[kind]).forEach(([key, patch]) => {
+            if (!pattern.test(key)) errors.push(`"${kind}" key "${key}" is not a ${kind === 'cc' ? 'CC number' : 'MSB:LSB address'}`);
+            if (patch !== null && !isObject(patch)) errors.push(`"${kind}" entry ${key} must be an object or null`);
+        });
+    });
+    if (override.hide !== undefined && typeof override.hide !== 'boolean') {
+        errors.push('"hide" must be true or false');
+    }
+    if (override.merge !== undefined && !(Array.isArray(override.merge) && override.merge.every(id => typeof id === 'string'))) {
+        errors.push('"merge" must list device IDs');
+    }
+    if (override.separate !== undefined && !(Array.isArray(override.separate) && override.separate.every(rule => isObject(rule) && rule.device))) {
+        errors.push('"separate" must list { "source", "device", "device_name" } entries with at least "device"');
+    }
+
+    return errors;
+}
+
+// Function to read every patch file in the overrides directory
+function loadOverrides(directory = defaultOverridesDirectory) {
+    return listOverrideFiles(directory).map(file => {
+        const content = fs.readFileSync(path.join(directory, file), 'utf8');
+        const override = /\.json$/i.test(file) ? JSON.parse(content) : parseYaml(content);
+
+        const errors = checkOverride(override);
+        if (errors.length > 0) {
+            throw new Error(`Invalid override ${file}: ${errors.join('; ')}`);
+        }
+
+        return {
+            file: `overrides/${file}`,
+            device: file.replace(/\.(json|ya?ml)$/i, ''),
+            sha256: sha256(content),
+            ...override
+        };
+    });
+}
+
+// Function to compare a patched value with the current one
+function isSameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Function to apply "set" to a device; returns [{ target, status }] per field
+function setFields(device, fields) {
+    return Object.entries(fields).map(([field, value]) => {
+        const keys = field.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((object, key) => {
+            if (!object[key] || typeof object[key] !== 'object') object[key] = {};
+            return object[key];
+        }, device);
+
+        // Upstream already has this value - the patch is no longer needed
+        if (isSameValue(parent[last], value)) {
+            return { target: field, status: 'stale' };
+        }
+        parent[last] = value;
+        return { target: field, status: 'applied' };
+    });
+}
+
+// Function to replace, patch, add or delete CC/NRPN entries by number.
+// null deletes the entry; an object updates the entry's fields, or adds a
+// new entry (built by createEntry) when the number isn't in the list yet.
+function patchParameters(device, kind, patches, createEntry) {
+    const numberOf = entry => (kind === 'cc' ? `${entry.value}` : `${entry.msb}:${entry.lsb}`);
+
+    return Object.entries(patches).map(([key, patch]) => {
+        const matches = device[kind].filter(entry => numberOf(entry) === key);
+
+        if (patch === null) {
+            if (matches.length === 0) return { target: key, status: 'stale' };
+            device[kind] = device[kind].filter(entry => !matches.includes(entry));
+            return { target: key, status: 'applied' };
+        }
+
+        if (matches.length === 0) {
+            // Only add entries that stay on their own number; a patch moving
+            // an entry away from a number that's gone has nothing left to fix
+            const [msb, lsb] = key.split(':').map(Number);
+            const entry = createEntry(kind === 'cc' ? { value: Number(key), ...patch } : { msb, lsb, ...patch });
+            if (numberOf(entry) !== key || !patch.name) return { target: key, status: 'stale' };
+            device[kind].push(entry);
+            return { target: key, status: 'applied' };
+        }
+
+        const changed = matches.filter(entry => Object.entries(patch).some(([field, value]) => !isSameValue(entry[field], value)));
+        changed.forEach(entry => Object.assign(entry, patch));
+        return { target: key, status: changed.length > 0 ? 'applied' : 'stale' };
+    });
+}
+
+// Function to look up the "separate" rules by the device ID they split
+function indexSeparations(overrides) {
+    const separations = new Map();
+    overrides.forEach(override => {
+        (override.separate || []).forEach(rule => {
+            if (!separations.has(override.device)) separations.set(override.device, []);
+            separations.get(override.device).push({ override, rule, matched: 0, split: false });
+        });
+    });
+    return separations;
+}
+
+// Function to tell whether an upstream variant is picked out by a "separate" rule
+function matchesSeparation(rule, variant) {
+    return (!rule.source || rule.source === variant.source) &&
+        (rule.device === variant.deviceKey || rule.device.toLowerCase() === variant.deviceKey.toLowerCase());
+}
+
+// Function to count override report entries by status
+function summarizeOverrides(report) {
+    const summary = { applied: 0, stale: 0, missing: 0 };
+    report.forEach(entry => {
+        summary[entry.status]++;
+    });
+    return summary;
+}
+
+module.exports = {
+    defaultOverridesDirectory,
+    loadOverrides,
+    setFields,
+    patchParameters,
+    indexSeparations,
+    matchesSeparation,
+    summarizeOverrides
+};
@@ -0,0 +1,119 @@
+const { compareKeys } = require('./keys');
+
+// Parameter lists that are merged entry by entry instead of wholesale
+const parameterFields = ['cc', 'nrpn'];
+
+// Text fields an entry can take over from the matching entry of another source
+const fillableFields = ['name', 'description', 'usage', 'curve'];
+
+// Function to compare parameter names regardless of case and punctuation
+function normalizeName(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Function to build the key that identifies a parameter within its list
+function parameterKey(kind, entry) {
+    if (kind === 'nrpn') {
+        if (Number.isInteger(entry.msb) && Number.isInteger(entry.lsb)) {
+            return `${entry.msb}:${entry.lsb}`;
+        }
+    } else if (Number.isInteger(entry.value)) {
+        return String(entry.value);
+    }
+
+    // Entries without a usable number can only be matched by name
+    return `name:${normalizeName(entry.name)}`;
+}
+
+// Function to compare the ranges of two entries
+function sameRange(a, b) {
+    return Object.is(a.min, b.min) && Object.is(a.max, b.max);
+}
+
+// Function to merge two parameter lists keyed by CC number or NRPN MSB/LSB.
+// listA wins: its entries keep their values and borrow empty text fields from
+// the listB entry with the same number, name and range. Other listB entries are
+// appended, including the several entries a source may list for one number
+// (one per value, on/off ranges). A number that both lists describe with exactly
+// one entry each is reported as a conflict when the name or range differs.
+function mergeParameterLists(kind, listA = [], listB = []) {
+    const list = listA.map(entry => ({ ...entry }));
+    const origins = listA.map(() => ({ from: 'a', filled: [] }));
+    const conflicts = [];
+
+    // Only listA entries are matched against, never listB entries appended below
+    const indexesByKey = {};
+    list.forEach((entry, index) => {
+        const key = parameterKey(kind, entry);
+        (indexesByKey[key] = indexesByKey[key] || []).push(index);
+    });
+    const countsB = {};
+    listB.forEach(entryB => {
+        const key = parameterKey(kind, entryB);
+        countsB[key] = (countsB[key] || 0) + 1;
+    });
+
+    listB.forEach(entryB => {
+        const key = parameterKey(kind, entryB);
+        const candidates = indexesByKey[key] || [];
+        const sameName = index => !entryB.name || normalizeName(list[index].name) === normalizeName(entryB.name);
+
+        let matchIndex = candidates.find(index => sameName(index) && sameRange(list[index], entryB));
+        const differences = [];
+        if (matchIndex === undefined && candidates.length === 1 && countsB[key] === 1) {
+            // One entry on each side: the same control, described differently
+            if (!sameName(candidates[0])) differences.push('name');
+            ['min', 'max'].forEach(field => {
+                if (!Object.is(list[candidates[0]][field], entryB[field])) differences.push(field);
+            });
+            if (differences.length > 0) {
+                conflicts.push({ kind, key, fields: differences, index: candidates[0], kept: { ...list[candidates[0]] }, other: { ...entryB } });
+            }
+            matchIndex = candidates[0];
+        }
+
+        // A parameter listA doesn't have - keep it
+        if (matchIndex === undefined) {
+            list.push({ ...entryB });
+            origins.push({ from: 'b', filled: [] });
+            return;
+        }
+
+        const entry = list[matchIndex];
+        fillableFields.forEach(field => {
+            if (!entry[field] && entryB[field]) {
+                entry[field] = entryB[field];
+                origins[matchIndex].filled.push(field);
+            }
+        });
+        if (entry.type === 'Parameter' && entryB.type && entryB.type !== 'Parameter') {
+            entry.type = entryB.type;
+            origins[matchIndex].filled.push('type');
+        }
+    });
+
+    return { list, origins, conflicts };
+}
+
+// Function to sort a parameter list by CC number or NRPN MSB, then LSB. Entries
+// sharing a number are ordered by name and then by content, so the result
+// doesn't depend on the order upstream listed them in.
+function sortParameters(kind, list) {
+    const numbers = entry => (kind === 'nrpn' ? [entry.msb, entry.lsb] : [entry.value]);
+    return [...list].sort((a, b) => {
+        const numbersA = numbers(a);
+        const numbersB = numbers(b);
+        for (let i = 0; i < numbersA.length; i++) {
+            if (numbersA[i] !== numbersB[i]) return numbersA[i] - numbersB[i];
+        }
+        return compareKeys(a.name, b.name) || compareKeys(JSON.stringify(a), JSON.stringify(b));
+    });
+}
+
+module.exports = {
+    parameterFields,
+    normalizeName,
+    parameterKey,
+    mergeParameterLists,
+    sortParameters
+};
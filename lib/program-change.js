@@ -0,0 +1,182 @@
+// Highest program number accepted from free text (1-based devices go up to 128)
+const maxProgram = 128;
+
+// Lines mentioning one of these are about program changes
+const programChangeWords = /\b(pc|program changes?|presets?|programs?|patch(es)?)\b/i;
+
+// "1-99", "1 – 4", "0 to 29", "1 through 50"
+const rangePattern = /\b(\d{1,3})\s*(?:-|–|—|to|through)\s*(\d{1,3})\b/gi;
+
+// A line that starts with a range: "PC# 5 – 99 = Presets saved", "4-7 are the Green bank"
+const leadingRangePattern = /^(?:pc\s*#?\s*)?(\d{1,3})\s*(?:-|–|—|to|through)\s*(\d{1,3})\b\s*(?:=|:|-|–)?\s*(.*)$/i;
+
+// A line naming one program: "PC# 0 = Bypass", "10 - Deep (Active)"
+const leadingPresetPattern = /^(?:pc\s*#?\s*)?(\d{1,3})\s*(?:=|:|-|–)\s*(\D.*)$/i;
+
+// A line naming one program at the end: "Bank A (Red) PC#0"
+const trailingPresetPattern = /^(.*\S)\s+pc\s*#?\s*(\d{1,3})$/i;
+
+// Function to create an empty program change structure
+function emptyProgramChange() {
+    return {
+        description: "",
+        ranges: [],
+        presets: [],
+        bank_select: { msb: false, lsb: false }
+    };
+}
+
+// Function to accept a min/max pair only if it looks like program numbers
+function toRange(min, max, description) {
+    const low = parseInt(min, 10);
+    const high = parseInt(max, 10);
+    if (low > high || high > maxProgram) return null;
+    return { min: low, max: high, description: description.trim() };
+}
+
+// Function to pull program ranges and named presets out of free text
+function parseProgramChangeText(text) {
+    const ranges = [];
+    const presets = [];
+
+    text.split(/\r?\n/).forEach(rawLine => {
+        // "0 - Octave (Active) | 21 - (Bypass)" holds two entries
+        rawLine.split('|').forEach(part => {
+            const line = part.trim();
+            if (!line) return;
+
+            const leadingRange = line.match(leadingRangePattern);
+            if (leadingRange) {
+                const range = toRange(leadingRange[1], leadingRange[2], leadingRange[3] || line);
+                if (range) ranges.push(range);
+                return;
+            }
+
+            const leadingPreset = line.match(leadingPresetPattern);
+            if (leadingPreset && parseInt(leadingPreset[1], 10) <= maxProgram) {
+                presets.push({ program: parseInt(leadingPreset[1], 10), name: leadingPreset[2].trim() });
+                return;
+            }
+
+            const trailingPreset = line.match(trailingPresetPattern);
+            if (trailingPreset && parseInt(trailingPreset[2], 10) <= maxProgram) {
+                presets.push({ program: parseInt(trailingPreset[2], 10), name: trailingPreset[1].trim() });
+                return;
+            }
+
+            // Ranges inside a sentence about program changes, but not CC value ranges
+            if (programChangeWords.test(line) && !/\bcc\s*#?\s*\d/i.test(line)) {
+                for (const match of line.matchAll(rangePattern)) {
+                    const range = toRange(match[1], match[2], line);
+                    if (range) ranges.push(range);
+                }
+            }
+        });
+    });
+
+    return { ranges, presets };
+}
+
+// Function to detect bank select (CC0 MSB / CC32 LSB) support from text and the CC list
+function detectBankSelect(text, ccList = []) {
+    const bankCc = value => ccList.some(cc => cc.value === value && /bank/i.test(cc.name || ""));
+    return {
+        msb: /\bcc\s*#?\s*0\b|bank select(?! lsb)/i.test(text) || bankCc(0),
+        lsb: /\bcc\s*#?\s*32\b|bank select lsb/i.test(text) || bankCc(32)
+    };
+}
+
+// Function to keep the first range per min/max and the first name per program
+function dedupeProgramChange(pc) {
+    const seenRanges = new Set();
+    const seenPrograms = new Set();
+    pc.ranges = pc.ranges.filter(range => {
+        const key = `${range.min}-${range.max}`;
+        if (seenRanges.has(key)) return false;
+        seenRanges.add(key);
+        return true;
+    });
+    pc.presets = pc.presets.filter(preset => {
+        if (seenPrograms.has(preset.program)) return false;
+        seenPrograms.add(preset.program);
+        return true;
+    });
+    return pc;
+}
+
+// Function to normalise upstream program change data. Upstream sends an object
+// with a description, an array of such objects, or an array of named entries.
+function normalizeProgramChange(rawPc, ccList = []) {
+    const pc = emptyProgramChange();
+    const entries = Array.isArray(rawPc) ? rawPc : (rawPc ? [rawPc] : []);
+    const descriptions = [];
+
+    entries.forEach(entry => {
+        if (!entry || typeof entry !== 'object') return;
+
+        if (typeof entry.description === 'string' && entry.description.trim()) {
+            descriptions.push(entry.description.trim());
+        }
+        if (Array.isArray(entry.ranges)) {
+            entry.ranges.forEach(range => {
+                const parsed = toRange(range.min, range.max, range.description || "");
+                if (parsed) pc.ranges.push(parsed);
+            });
+        }
+        if (Array.isArray(entry.presets)) {
+            entry.presets.forEach(preset => {
+                if (Number.isInteger(preset.program)) {
+                    pc.presets.push({ program: preset.program, name: String(preset.name || "") });
+                }
+            });
+        }
+
+        // Named list entries like { name: "Bypass", value: 0 }
+        const program = typeof entry.value === 'string' ? parseInt(entry.value, 10) : entry.value;
+        if (Number.isInteger(program) && entry.name && entry.name !== "Program Change") {
+            pc.presets.push({ program, name: String(entry.name) });
+        }
+        if (entry.bank_select) {
+            pc.bank_select.msb = pc.bank_select.msb || Boolean(entry.bank_select.msb);
+            pc.bank_select.lsb = pc.bank_select.lsb || Boolean(entry.bank_select.lsb);
+        }
+    });
+
+    pc.description = descriptions.join('\n\n');
+    const parsed = parseProgramChangeText(pc.description);
+    pc.ranges.push(...parsed.ranges);
+    pc.presets.push(...parsed.presets);
+
+    const bankSelect = detectBankSelect(pc.description, ccList);
+    pc.bank_select.msb = pc.bank_select.msb || bankSelect.msb;
+    pc.bank_select.lsb = pc.bank_select.lsb || bankSelect.lsb;
+
+    return dedupeProgramChange(pc);
+}
+
+// Function to merge two program change structures; pcA comes from the higher priority source
+function mergeProgramChange(pcA = emptyProgramChange(), pcB = emptyProgramChange()) {
+    return dedupeProgramChange({
+        description: pcA.description || pcB.description || "",
+        ranges: [...pcA.ranges, ...pcB.ranges],
+        presets: [...pcA.presets, ...pcB.presets],
+        bank_select: {
+            msb: pcA.bank_select.msb || pcB.bank_select.msb,
+            lsb: pcA.bank_select.lsb || pcB.bank_select.lsb
+        }
+    });
+}
+
+// Function to tell whether a device has any program change data
+function hasProgramChange(pc) {
+    return Boolean(pc && (pc.description || pc.ranges.length > 0 || pc.presets.length > 0));
+}
+
+module.exports = {
+    emptyProgramChange,
+    parseProgramChangeText,
+    detectBankSelect,
+    normalizeProgramChange,
+    mergeProgramChange,
+    hasProgramChange
+};
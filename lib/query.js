@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { reservedKeys } = require('./sources');
+const { keyTokens, compactKey } = require('./keys');
+
+// Indexes already built, by resolved file path
+const loadedIndexes = new Map();
+
+// Function to read a merged database, gzipped or not
+function readDatabase(filePath) {
+    const content = fs.readFileSync(filePath);
+    const json = filePath.endsWith('.gz') ? zlib.gunzipSync(content) : content;
+    return JSON.parse(json.toString('utf8'));
+}
+
+// Function to add a value to the list stored under key
+function addTo(map, key, value) {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(value);
+}
+
+// Function to index a merged database by brand, device, CC number, NRPN address,
+// parameter tag and the words of parameter names
+function buildIndex(db) {
+    const index = {
+        devices: [],
+        positions: new Map(),
+        byBrand: new Map(),
+        byDevice: new Map(),
+        byCc: new Map(),
+        byNrpn: new Map(),
+        byTag: new Map(),
+        byKeyword: new Map()
+    };
+
+    Object.entries(db).forEach(([brandName, devices]) => {
+        if (reservedKeys.includes(brandName)) return;
+
+        Object.entries(devices).forEach(([deviceName, device]) => {
+            const ref = { brand: brandName, device: deviceName, data: device };
+            index.positions.set(ref, index.devices.length);
+            index.devices.push(ref);
+            addTo(index.byBrand, compactKey(brandName), ref);
+            addTo(index.byDevice, compactKey(deviceName), ref);
+
+            (device.cc || []).forEach(entry => {
+                const parameter = { ...ref, kind: 'cc', address: String(entry.value), entry };
+                addTo(index.byCc, entry.value, parameter);
+                addTo(index.byTag, entry.tag || null, parameter);
+                new Set(keyTokens(entry.name)).forEach(token => addTo(index.byKeyword, token, parameter));
+            });
+            (device.nrpn || []).forEach(entry => {
+                const parameter = { ...ref, kind: 'nrpn', address: `${entry.msb}:${entry.lsb}`, entry };
+                addTo(index.byNrpn, parameter.address, parameter);
+                addTo(index.byTag, entry.tag || null, parameter);
+                new Set(keyTokens(entry.name)).forEach(token => addTo(index.byKeyword, token, parameter));
+            });
+        });
+    });
+
+    return index;
+}
+
+// Function to load and index a merged database file, once per file
+function loadIndex(filePath) {
+    const resolved = path.resolve(filePath);
+    if (!loadedIndexes.has(resolved)) {
+        loadedIndexes.set(resolved, buildIndex(readDatabase(resolved)));
+    }
+    return loadedIndexes.get(resolved);
+}
+
+// Function to match a brand or device name: the same letters and digits, or containing them
+function matchesName(name, query) {
+    if (!query) return true;
+    const wanted = compactKey(query);
+    return compactKey(name).includes(wanted);
+}
+
+// Function to keep the entries of a brand/device, preferring exact name matches
+function filterByDevice(entries, filters = {}) {
+    const matching = entries.filter(entry => matchesName(entry.brand, filters.brand) && matchesName(entry.device, filters.device));
+    if (!filters.device) return matching;
+
+    // "MicroFreak" shouldn't also list "MicroFreak Vocoder Edition" if the exact device exists
+    const exact = matching.filter(entry => compactKey(entry.device) === compactKey(filters.device));
+    return exact.length > 0 ? exact : matching;
+}
+
+// Function to collect the devices filed under every name key containing the
+// query, in database order
+function devicesNamed(index, names, query) {
+    const wanted = compactKey(query);
+    return [...names]
+        .filter(([key]) => key.includes(wanted))
+        .flatMap(([, refs]) => refs)
+        .sort((a, b) => index.positions.get(a) - index.positions.get(b));
+}
+
+// Function to list devices, optionally only those of a brand or with NRPN support
+function findDevices(index, filters = {}) {
+    // Look names up among the brand and device keys instead of every device
+    const candidates = filters.device
+        ? devicesNamed(index, index.byDevice, filters.device)
+        : filters.brand ? devicesNamed(index, index.byBrand, filters.brand) : index.devices;
+    let devices = filterByDevice(candidates, filters);
+    if (filters.nrpn) {
+        devices = devices.filter(ref => (ref.data.nrpn || []).length > 0);
+    }
+    return devices;
+}
+
+// Function to find the CC parameters with a given number
+function findCc(index, value, filters = {}) {
+    return filterByDevice(index.byCc.get(parseInt(value, 10)) || [], filters);
+}
+
+// Function to find the NRPN parameters at an address given as "msb:lsb"
+function findNrpn(index, address, filters = {}) {
+    const [msb, lsb] = String(address).split(':').map(part => parseInt(part, 10));
+    return filterByDevice(index.byNrpn.get(`${msb}:${lsb}`) || [], filters);
+}
+
+// Function to find the parameters with a tag like "filter"
+function findTagged(index, tag, filters = {}) {
+    return filterByDevice(index.byTag.get(tag) || [], filters);
+}
+
+// Function to find parameters whose name has every word of the query, as
+// whole words or word beginnings: "cut" finds "Filter Cutoff"
+function searchParameters(index, keywords, filters = {}) {
+    const words = keyTokens(keywords);
+    if (words.length === 0) return [];
+
+    const matchesPerWord = words.map(word => {
+        const found = new Set();
+        index.byKeyword.forEach((parameters, token) => {
+            if (token.startsWith(word)) parameters.forEach(parameter => found.add(parameter));
+        });
+        return found;
+    });
+
+    const [first, ...rest] = matchesPerWord;
+    const parameters = [...first].filter(parameter => rest.every(found => found.has(parameter)));
+    return filterByDevice(parameters, filters);
+}
+
+// Function to turn index entries into plain rows for JSON or table output
+function toRows(results) {
+    return results.map(result => {
+        if (!result.kind) {
+            return {
+                brand: result.brand,
+                device: result.device,
+                cc: (result.data.cc || []).length,
+                nrpn: (result.data.nrpn || []).length
+            };
+        }
+        return {
+            brand: result.brand,
+            device: result.device,
+            kind: result.kind,
+            address: result.address,
+            name: result.entry.name,
+            tag: result.entry.tag || '',
+            min: result.entry.min,
+            max: result.entry.max,
+            description: result.entry.description
+        };
+    });
+}
+
+// Function to lay rows out as a plain-text table
+function formatTable(rows, maxWidth = 60) {
+    if (rows.length === 0) return 'No results';
+
+    const columns = Object.keys(rows[0]);
+    const cell = value => {
+        const text = String(value ?? '').replace(/\s+/g, ' ').trim();
+        return text.length > maxWidth ? `${text.slice(0, maxWidth - 1)}…` : text;
+    };
+    const widths = columns.map(column => Math.max(column.length, ...rows.map(row => cell(row[column]).length)));
+    const line = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+
+    return [
+        line(columns),
+        line(widths.map(width => '-'.repeat(width))),
+        ...rows.map(row => line(columns.map(column => cell(row[column]))))
+    ].join('\n');
+}
+
+module.exports = {
+    readDatabase,
+    buildIndex,
+    loadIndex,
+    findDevices,
+    findCc,
+    findNrpn,
+    findTagged,
+    searchParameters,
+    toRows,
+    formatTable
+};
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const { sha256, compareVersionStrings } = require('./versioning');
+
+// Keys in the upstream database that hold metadata rather than brands
+const reservedKeys = ['version', 'generatedAt'];
+
+// Format adapters turn a parsed upstream file into { metadata, brands }
+const adapters = {
+    // MidiDeviceDefinitions: brands at the top level next to version/generatedAt
+    'midi-device-definitions': db => {
+        const metadata = {};
+        const brands = {};
+        Object.entries(db).forEach(([key, value]) => {
+            if (reservedKeys.includes(key)) {
+                metadata[key] = value;
+            } else {
+                brands[key] = value;
+            }
+        });
+        return { metadata, brands };
+    },
+
+    // openmidi all.json: nothing but brands
+    'openmidi': db => ({ metadata: {}, brands: db })
+};
+
+// Find the latest file matching a pattern like midi-database-v*.json
+function findLatestDatabase(directory = path.join(__dirname, '..'), pattern = 'midi-database-v*.json') {
+    const [prefix, suffix] = pattern.split('*');
+    const files = fs.readdirSync(directory);
+    const dbFiles = files.filter(file =>
+        file.startsWith(prefix) &&
+        file.endsWith(suffix) &&
+        file !== 'midi-database-version.json' &&
+        !file.endsWith('.min.json') &&
+        !file.endsWith('.json.gz')
+    );
+
+    if (dbFiles.length === 0) {
+        throw new Error(`No files matching ${pattern} found`);
+    }
+
+    // Sort by the version in the * part, number by number: v10 is newer than v9
+    const versionOf = file => file.slice(prefix.length, file.length - suffix.length);
+    dbFiles.sort((a, b) => compareVersionStrings(versionOf(b), versionOf(a)));
+
+    console.log(`Found latest database: ${dbFiles[0]}`);
+    return path.join(directory, dbFiles[0]);
+}
+
+// Resolve a manifest path; a single * picks the latest matching file
+function resolveSourcePath(sourcePath, baseDir) {
+    const absolutePath = path.resolve(baseDir, sourcePath);
+    if (!path.basename(absolutePath).includes('*')) {
+        return absolutePath;
+    }
+    return findLatestDatabase(path.dirname(absolutePath), path.basename(absolutePath));
+}
+
+// Load the sources manifest and validate every entry. inputPaths replaces the
+// path of a source by name ({ openmidi: '/tmp/all.json' }), relative to the
+// working directory rather than the manifest.
+function loadSourcesManifest(manifestPath = path.join(__dirname, '..', 'sources.json'), inputPaths = {}) {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    const baseDir = path.dirname(manifestPath);
+
+    if (!Array.isArray(manifest.sources) || manifest.sources.length === 0) {
+        throw new Error(`${manifestPath} does not list any sources`);
+    }
+    const unknownInput = Object.keys(inputPaths).find(name => !manifest.sources.some(source => source.name === name));
+    if (unknownInput !== undefined) {
+        throw new Error(`${manifestPath} has no source named "${unknownInput}" (sources: ${manifest.sources.map(source => source.name).join(', ')})`);
+    }
+
+    const definitions = manifest.sources.map((source, index) => {
+        if (!source.name || !source.path) {
+            throw new Error(`Source #${index + 1} in ${manifestPath} needs a name and a path`);
+        }
+        if (!adapters[source.format]) {
+            throw new Error(`Source ${source.name} uses unknown format "${source.format}"`);
+        }
+
+        // Optional sources (like the local import overlay) may not exist yet;
+        // a path given for this run must, so it isn't skipped
+        const inputPath = inputPaths[source.name];
+        if (inputPath === undefined && source.optional && !fs.existsSync(path.resolve(baseDir, source.path))) {
+            console.log(`Skipping optional source ${source.name}: ${source.path} not found`);
+            return null;
+        }
+        return {
+            name: source.name,
+            format: source.format,
+            priority: Number(source.priority) || 0,
+            path: inputPath === undefined ? resolveSourcePath(source.path, baseDir) : resolveSourcePath(inputPath, process.cwd())
+        };
+    });
+    return definitions.filter(Boolean);
+}
+
+// Read one source from disk and run it through its format adapter
+function readSource(definition) {
+    const content = fs.readFileSync(definition.path);
+    const source = adaptSource(definition, JSON.parse(content.toString('utf8')));
+    source.sha256 = sha256(content);
+    return source;
+}
+
+// Run already-parsed data through a source's format adapter
+function adaptSource(definition, db) {
+    const adapter = adapters[definition.format];
+    if (!adapter) {
+        throw new Error(`Source ${definition.name} uses unknown format "${definition.format}"`);
+    }
+
+    const { metadata, brands } = adapter(db);
+    return {
+        name: definition.name,
+        priority: definition.priority || 0,
+        file: definition.path ? path.basename(definition.path) : null,
+        sha256: null,
+        metadata,
+        brands
+    };
+}
+
+module.exports = {
+    reservedKeys,
+    adapters,
+    findLatestDatabase,
+    resolveSourcePath,
+    loadSourcesManifest,
+    readSource,
+    adaptSource
+};
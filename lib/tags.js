@@ -0,0 +1,128 @@
+const { reservedKeys } = require('./sources');
+const { keyTokens } = require('./keys');
+const { placeholderNamePattern } = require('./lint');
+
+// Controlled vocabulary for the tag stored next to each parameter's free-form type
+const parameterTags = ['filter', 'envelope', 'lfo', 'effect', 'mixer', 'transport', 'preset', 'expression'];
+
+// Word rules, tried in order on the name, then the type, then the description.
+// More specific rules come first: "Filter Env Attack" is an envelope, "Reverb Level"
+// an effect. Effect names take the envelope stage words they often carry ("Reverb:
+// Decay Time"), unless they also name an envelope or a filter ("Delay HPF").
+// Descriptions mention "the current preset" for all sorts of parameters, so the
+// preset rule only looks at names and types.
+const tagRules = [
+    { tag: 'expression', pattern: /\b(sustain|sus|damper|sostenuto|soft|hold) ?pedal\b|\b(damper|sostenuto|portamento|glide|pitch ?bend|mod ?wheel|modulation wheel|aftertouch|breath|expression|exp|foot|velocity)\b/ },
+    { tag: 'lfo', pattern: /\b(lfos?|vibrato)\b/ },
+    { tag: 'effect', pattern: /\b(reverb|delay|echo|chorus|flanger|phaser)\b/, unless: /\b(envelopes?|env|eg|adsr|filters?|vcf|cut ?off|resonance|reso|hpf|lpf|bpf)\b/ },
+    { tag: 'envelope', pattern: /\b(envelopes?|env|eg|adsr|attack|decay|sustain|release)\b/ },
+    { tag: 'filter', pattern: /\b(filters?|vcf|cut ?off|resonance|reso|hpf|lpf|bpf|brightness|emphasis)\b/ },
+    { tag: 'effect', pattern: /\b(fx|effects?|reverb|delay|echo|chorus|flanger|phaser|tremolo|distortion|overdrive|drive|fuzz|bitcrusher|crusher|compressor|eq|wah|harmonizer|pitch ?shift(er)?|looper)\b/ },
+    { tag: 'mixer', pattern: /\b(volume|vol|level|pan|panning|balance|gain|mute|solo|mix|mixer|fader)\b/ },
+    { tag: 'transport', pattern: /\b(play|stop|continue|pause|record|rec|tempo|bpm|tap|clock|transport|rewind)\b/ },
+    { tag: 'preset', pattern: /\b(presets?|patch|program|bank|scene|snapshot|kit)\b/, skipDescription: true }
+];
+
+// Standard MIDI meanings of CC numbers, used for parameters with a generic
+// name like "CC 74" that the words give no tag for
+const wellKnownCcTags = {
+    0: 'preset', 32: 'preset',
+    1: 'expression', 2: 'expression', 4: 'expression', 5: 'expression', 11: 'expression',
+    64: 'expression', 65: 'expression', 66: 'expression', 67: 'expression',
+    7: 'mixer', 8: 'mixer', 10: 'mixer',
+    71: 'filter', 74: 'filter',
+    72: 'envelope', 73: 'envelope', 75: 'envelope',
+    76: 'lfo', 77: 'lfo', 78: 'lfo',
+    91: 'effect', 92: 'effect', 93: 'effect', 94: 'effect', 95: 'effect'
+};
+
+// Names that are the standard control of a CC number. They take the number's tag
+// before the word rules run: "Sustain" on CC 64 is the pedal, not an envelope stage.
+const standardCcNames = {
+    1: /^mod(ulation)?( ?wheel)?$/,
+    64: /^(pedal )?(sustain|sus|damper|hold)( ?pedal)?( on off| switch)?$/,
+    66: /^sostenuto( ?pedal)?( on off| switch)?$/,
+    67: /^soft( ?pedal)?( on off| switch)?$/
+};
+
+// Function to find the first rule matching a piece of text
+function tagText(text, isDescription = false) {
+    const words = keyTokens(text || '').join(' ');
+    if (!words) return null;
+    const rule = tagRules.find(({ pattern, unless, skipDescription }) => !(isDescription && skipDescription) && pattern.test(words) && !(unless && unless.test(words)));
+    return rule ? rule.tag : null;
+}
+
+// Function to pick the tag for one CC or NRPN entry, or null if nothing fits
+function classifyParameter(kind, entry) {
+    if (kind === 'cc' && standardCcNames[entry.value] && standardCcNames[entry.value].test(keyTokens(entry.name || '').join(' '))) {
+        return wellKnownCcTags[entry.value];
+    }
+
+    // "Parameter" is createStandardDevice's default type, not a category
+    const type = entry.type === 'Parameter' ? '' : entry.type;
+    const tag = tagText(entry.name) || tagText(type) || tagText(entry.description, true);
+    if (tag) return tag;
+
+    // Devices reuse standard CC numbers for their own controls, so only trust
+    // the number when the name doesn't say what the control is
+    const name = (entry.name || '').trim();
+    if (kind === 'cc' && (name === '' || placeholderNamePattern.test(name))) {
+        return wellKnownCcTags[entry.value] || null;
+    }
+    return null;
+}
+
+// Function to tag every parameter of a device that doesn't have a tag yet.
+// Tags set by hand (for example in an override) are kept, including null.
+function tagDevice(device) {
+    ['cc', 'nrpn'].forEach(kind => {
+        (device[kind] || []).forEach(entry => {
+            if (entry.tag === undefined) {
+                entry.tag = classifyParameter(kind, entry);
+            }
+        });
+    });
+    return device;
+}
+
+// Function to tag a merged database and report tag counts and the untagged parameters
+function tagDatabase(db) {
+    const counts = Object.fromEntries([...parameterTags, 'untagged'].map(tag => [tag, 0]));
+    const untagged = [];
+
+    Object.entries(db).forEach(([brandName, devices]) => {
+        if (reservedKeys.includes(brandName)) return;
+
+        Object.entries(devices).forEach(([deviceName, device]) => {
+            tagDevice(device);
+            ['cc', 'nrpn'].forEach(kind => {
+                device[kind].forEach(entry => {
+                    if (entry.tag) {
+                        counts[entry.tag]++;
+                        return;
+                    }
+                    counts.untagged++;
+                    untagged.push({
+                        id: device.id,
+                        brand: brandName,
+                        device: deviceName,
+                        kind,
+                        key: kind === 'cc' ? String(entry.value) : `${entry.msb}:${entry.lsb}`,
+                        name: entry.name,
+                        type: entry.type
+                    });
+                });
+            });
+        });
+    });
+
+    return { counts, untagged };
+}
+
+module.exports = {
+    parameterTags,
+    classifyParameter,
+    tagDevice,
+    tagDatabase
+};
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const { reservedKeys } = require('./sources');
+
+const schemaPath = path.join(__dirname, '..', 'schema', 'midi-database.schema.json');
+
+// Function to load the JSON Schema for the merged database
+function loadSchema(filePath = schemaPath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Function to name the JSON type of a value the way JSON Schema does
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') {
+        if (Number.isNaN(value)) return 'NaN';
+        return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+}
+
+// Function to check a value against one of the schema's allowed types
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Function to follow a local "#/definitions/..." reference
+function resolveRef(rootSchema, ref) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Only local schema references are supported, got ${ref}`);
+    }
+    return ref.slice(2).split('/').reduce((node, key) => node[key], rootSchema);
+}
+
+// Function to validate a value against the subset of JSON Schema draft-07 the
+// database schema uses: $ref, allOf, type, enum, required, properties,
+// additionalProperties, items, minimum, maximum and minLength
+function validateNode(value, schema, rootSchema, pathSegments, errors) {
+    if (schema.$ref) {
+        validateNode(value, resolveRef(rootSchema, schema.$ref), rootSchema, pathSegments, errors);
+    }
+
+    (schema.allOf || []).forEach(subSchema => validateNode(value, subSchema, rootSchema, pathSegments, errors));
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push({ path: pathSegments, message: `expected ${types.join(' or ')}, got ${typeOf(value)} ${JSON.stringify(value)}` });
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+        errors.push({ path: pathSegments, message: `expected one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}` });
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path: pathSegments, message: `${value} is below the minimum of ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path: pathSegments, message: `${value} is above the maximum of ${schema.maximum}` });
+        }
+    }
+
+    if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push({ path: pathSegments, message: `must be at least ${schema.minLength} characters long` });
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ path: pathSegments, message: `missing required property "${key}"` });
+            }
+        });
+
+        Object.entries(value).forEach(([key, child]) => {
+            if (schema.properties && schema.properties[key]) {
+                validateNode(child, schema.properties[key], rootSchema, [...pathSegments, key], errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: pathSegments, message: `unexpected property "${key}"` });
+            } else if (typeof schema.additionalProperties === 'object') {
+                validateNode(child, schema.additionalProperties, rootSchema, [...pathSegments, key], errors);
+            }
+        });
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => validateNode(item, schema.items, rootSchema, [...pathSegments, index], errors));
+    }
+}
+
+// Function to run the checks JSON Schema cannot express, like min <= max
+function validateRanges(db, errors) {
+    Object.entries(db).forEach(([brandName, devices]) => {
+        if (reservedKeys.includes(brandName) || typeOf(devices) !== 'object') return;
+
+        Object.entries(devices).forEach(([deviceName, device]) => {
+            const lists = {
+                cc: device.cc,
+                nrpn: device.nrpn,
+                'pc.ranges': device.pc && device.pc.ranges
+            };
+            Object.entries(lists).forEach(([kind, entries]) => {
+                if (!Array.isArray(entries)) return;
+                entries.forEach((entry, index) => {
+                    if (Number.isInteger(entry.min) && Number.isInteger(entry.max) && entry.min > entry.max) {
+                        errors.push({
+                            path: [brandName, deviceName, kind, index],
+                            message: `min ${entry.min} is greater than max ${entry.max}`
+                        });
+                    }
+                });
+            });
+        });
+    });
+}
+
+// Function to render a path as brand/device/cc[3].value
+function formatPath(pathSegments) {
+    return pathSegments.reduce((text, segment, index) => {
+        if (typeof segment === 'number') return `${text}[${segment}]`;
+        if (index < 3) return text ? `${text}/${segment}` : segment;
+        return `${text}.${segment}`;
+    }, '') || '(root)';
+}
+
+// Function to validate a merged database; returns every violation found
+function validateDatabase(db, schema = loadSchema()) {
+    const errors = [];
+    validateNode(db, schema, schema, [], errors);
+    validateRanges(db, errors);
+
+    return errors.map(error => ({
+        path: formatPath(error.path),
+        message: error.message
+    }));
+}
+
+module.exports = {
+    schemaPath,
+    loadSchema,
+    validateDatabase,
+    formatPath
+};
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const { compareKeys } = require('./keys');
+
+// Version of the first build, and of a build after a previous one without semver
+const initialVersion = '1.0.0';
+
+// Function to hash file content; clients compare this to verify downloads
+function sha256(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Function to compare version strings number by number, so v10 sorts after v9
+// and 1.10.0 after 1.9.2; text between the numbers breaks ties
+function compareVersionStrings(a, b) {
+    const partsA = String(a).match(/\d+|\D+/g) || [];
+    const partsB = String(b).match(/\d+|\D+/g) || [];
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        if (partsA[i] === undefined) return -1;
+        if (partsB[i] === undefined) return 1;
+
+        const numeric = /^\d/.test(partsA[i]) && /^\d/.test(partsB[i]);
+        const difference = numeric
+            ? parseInt(partsA[i], 10) - parseInt(partsB[i], 10)
+            : compareKeys(partsA[i], partsB[i]);
+        if (difference !== 0) return Math.sign(difference);
+    }
+    return 0;
+}
+
+// Function to read "2.4.1" into [2, 4, 1]; anything else gives null
+function parseSemver(version) {
+    const match = /^(\d+)\.(\d+)\.(\d+)$/.exec(String(version ?? ''));
+    return match ? match.slice(1).map(Number) : null;
+}
+
+// Function to work out the version of a new build from the previous version file:
+// major when the schema changed, minor when brands or devices were added, patch
+// for any other change to the data, and the same version when the content hash
+// is the one the previous build recorded
+function nextVersion(previousInfo, { schemaVersion, changes, contentHash }) {
+    const previous = parseSemver(previousInfo?.version);
+    if (!previous) {
+        return { version: initialVersion, bump: 'initial' };
+    }
+
+    const [major, minor, patch] = previous;
+    if (previousInfo.schemaVersion !== schemaVersion) {
+        return { version: `${major + 1}.0.0`, bump: 'major' };
+    }
+    if (previousInfo.hashes?.content === contentHash) {
+        return { version: previousInfo.version, bump: 'none' };
+    }
+    if (changes && (changes.summary.brands.added > 0 || changes.summary.devices.added > 0)) {
+        return { version: `${major}.${minor + 1}.0`, bump: 'minor' };
+    }
+    return { version: `${major}.${minor}.${patch + 1}`, bump: 'patch' };
+}
+
+module.exports = {
+    initialVersion,
+    sha256,
+    compareVersionStrings,
+    parseSemver,
+    nextVersion
+};
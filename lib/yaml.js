@@ -0,0 +1,145 @@
+// A small YAML reader for device files. It understands the subset these files
+// need: nested mappings by indentation, "- " lists of scalars or mappings,
+// plain, 'single' and "double" quoted scalars, numbers, true/false/null, empty
+// [] and {}, "|" literal blocks and # comments. Anchors, flow collections with
+// content, multi-document files and tags are not supported.
+
+// Function to strip a trailing # comment that isn't inside quotes
+function stripComment(text) {
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+            return text.slice(0, i).trimEnd();
+        }
+    }
+    return text.trimEnd();
+}
+
+// Function to turn a scalar's text into a string, number, boolean or null
+function parseScalar(text, lineNumber) {
+    if (text.startsWith('"')) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Line ${lineNumber}: invalid double-quoted string ${text}`);
+        }
+    }
+    if (text.startsWith("'")) {
+        if (!text.endsWith("'") || text.length < 2) {
+            throw new Error(`Line ${lineNumber}: invalid single-quoted string ${text}`);
+        }
+        return text.slice(1, -1).replace(/''/g, "'");
+    }
+    if (text === '' || text === '~' || text === 'null') return null;
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (text === '[]') return [];
+    if (text === '{}') return {};
+    if (/^[[{]/.test(text)) {
+        throw new Error(`Line ${lineNumber}: flow collections other than [] and {} are not supported`);
+    }
+    if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+    return text;
+}
+
+// Function to split "key: value" into its parts; returns null for other lines
+function splitKeyValue(text) {
+    const match = /^("[^"]*"|'[^']*'|[^'"][^:]*?)\s*:(?:\s+(.*))?$/.exec(text);
+    if (!match) return null;
+    const key = /^["']/.test(match[1]) ? match[1].slice(1, -1) : match[1];
+    return { key, value: match[2] === undefined ? '' : match[2] };
+}
+
+// Function to parse YAML text into plain objects, arrays and scalars
+function parseYaml(text) {
+    const lines = [];
+    text.split(/\r?\n/).forEach((raw, index) => {
+        if (/^\s*(#.*)?$/.test(raw) || raw.trim() === '---') return;
+        if (/^\t/.test(raw)) {
+            throw new Error(`Line ${index + 1}: indent with spaces, not tabs`);
+        }
+        lines.push({ number: index + 1, indent: raw.match(/^ */)[0].length, raw });
+    });
+
+    let position = 0;
+
+    // Function to read a "|" block: every following line indented deeper
+    function readLiteral(parentIndent) {
+        const blockLines = [];
+        let blockIndent = null;
+        while (position < lines.length && lines[position].indent > parentIndent) {
+            const line = lines[position++];
+            blockIndent = blockIndent === null ? line.indent : blockIndent;
+            blockLines.push(line.raw.slice(blockIndent));
+        }
+        return blockLines.join('\n') + '\n';
+    }
+
+    // Function to read the value after "key:" or "-": inline, a literal block or a nested block
+    function readValue(inlineText, parentIndent, lineNumber) {
+        const inline = stripComment(inlineText);
+        if (inline === '|') return readLiteral(parentIndent);
+        if (inline !== '') return parseScalar(inline, lineNumber);
+        if (position < lines.length && lines[position].indent > parentIndent) {
+            return readBlock(lines[position].indent);
+        }
+        // "- " list items may sit at the same indent as their key
+        if (position < lines.length && lines[position].indent === parentIndent && lines[position].raw.trim().startsWith('- ')) {
+            return readBlock(parentIndent);
+        }
+        return null;
+    }
+
+    // Function to read the mapping entries starting at this line, with keys at indent
+    function readMapping(indent, result = {}) {
+        while (position < lines.length && lines[position].indent === indent && !lines[position].raw.trim().startsWith('- ')) {
+            const line = lines[position++];
+            const pair = splitKeyValue(stripComment(line.raw.trim()));
+            if (!pair) {
+                throw new Error(`Line ${line.number}: expected "key: value", got ${line.raw.trim()}`);
+            }
+            result[pair.key] = readValue(pair.value, indent, line.number);
+        }
+        return result;
+    }
+
+    // Function to read a list or a mapping whose lines start at indent
+    function readBlock(indent) {
+        if (!lines[position].raw.trim().startsWith('- ') && lines[position].raw.trim() !== '-') {
+            return readMapping(indent);
+        }
+
+        const list = [];
+        while (position < lines.length && lines[position].indent === indent && /^-( |$)/.test(lines[position].raw.trim())) {
+            const line = lines[position++];
+            const itemText = line.raw.trim().slice(1).trimStart();
+            const pair = splitKeyValue(stripComment(itemText));
+
+            if (pair) {
+                // "- key: value" starts a mapping; its other keys line up with the first
+                const itemIndent = indent + line.raw.trim().length - itemText.length;
+                const item = { [pair.key]: readValue(pair.value, itemIndent, line.number) };
+                list.push(readMapping(itemIndent, item));
+            } else {
+                list.push(readValue(itemText, indent, line.number));
+            }
+        }
+        return list;
+    }
+
+    if (lines.length === 0) return null;
+    const result = readBlock(lines[0].indent);
+    if (position < lines.length) {
+        throw new Error(`Line ${lines[position].number}: unexpected indentation`);
+    }
+    return result;
+}
+
+module.exports = {
+    parseYaml
+};
@@ -1,295 +1,461 @@
 const fs = require('fs');
 const path = require('path');
 const zlib = require('zlib');
-
-// Find the latest version of the midi-database file
-function findLatestDatabase() {
-    const files = fs.readdirSync(__dirname);
-    const dbFiles = files.filter(file =>
-        file.startsWith('midi-database-v') &&
-        file.endsWith('.json') &&
-        !file.endsWith('.min.json') &&
-        !file.endsWith('.json.gz')
-    );
-
-    if (dbFiles.length === 0) {
-        throw new Error('No midi-database files found');
+const { reservedKeys, findLatestDatabase, loadSourcesManifest, readSource } = require('./lib/sources');
+const { parameterFields, parameterKey, mergeParameterLists, sortParameters } = require('./lib/parameters');
+const { normalizeProgramChange, mergeProgramChange } = require('./lib/program-change');
+const { normalizeCapabilities, mergeCapabilities, parseDefaultChannel } = require('./lib/capabilities');
+const { compactKey, slugify, compareKeys, buildFoldedIndex, lookupFolded, suggestTargets } = require('./lib/keys');
+const { validateDatabase, loadSchema } = require('./lib/validate');
+const { lintDatabase, formatLintSummary } = require('./lib/lint');
+const { readDatabase } = require('./lib/query');
+const { diffDatabases, formatChangelog } = require('./lib/diff');
+const { initialVersion, sha256, nextVersion } = require('./lib/versioning');
+const { tagDatabase } = require('./lib/tags');
+const { brandVariants, modelVariants, brandScope, checkMapping } = require('./lib/mapping');
+const { defaultOverridesDirectory, loadOverrides, setFields, patchParameters, indexSeparations, matchesSeparation, summarizeOverrides } = require('./lib/overrides');
+
+// Load mapping.json file. Device keys are scoped to their brand, so two brands
+// can both have a model called "mk2": deviceMapping[brandScope(brandValue)][key] = modelValue.
+// A file that can't be read or has problems stops the merge: without its mappings
+// every device would be published under its raw upstream key.
+function loadMappings(mappingPath = path.join(__dirname, 'mapping.json')) {
+    const fileName = path.basename(mappingPath);
+    let mapping;
+    try {
+        mapping = JSON.parse(fs.readFileSync(mappingPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot load ${fileName}: ${error.message}`);
     }
 
-    // Sort files alphabetically (works for semantic versioning)
-    dbFiles.sort().reverse();
+    const problems = checkMapping(mapping);
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(`- ${problem}`));
+        throw new Error(`${fileName} has ${problems.length} problem(s), fix them before merging (see "node cli.js mapping check")`);
+    }
 
-    console.log(`Found latest database: ${dbFiles[0]}`);
-    return path.join(__dirname, dbFiles[0]);
-}
+    const manufacturerMapping = {};
+    const deviceMapping = {};
+    const brandDisplayNames = {};
+    const modelDisplayNames = {};
+    let deviceVariationCount = 0;
 
-// Load mapping.json file
-function loadMappings() {
-    try {
-        const mappingPath = path.join(__dirname, 'mapping.json');
-        const mapping = JSON.parse(fs.readFileSync(mappingPath, 'utf8'));
-        
-        // Parse mapping.json to create manufacturer and device mappings
-        const manufacturerMapping = {};
-        const deviceMapping = {};
-        
-        mapping.brands.forEach(brand => {
-            const brandValue = brand.value;
-            const brandName = brand.name;
-            
-            // Add the primary brand mapping - map to value (key)
-            manufacturerMapping[brandValue] = brandValue;
-            
-            // Add common variations of brand names - also map to value (key)
-            manufacturerMapping[brandName.toLowerCase()] = brandValue;
-            manufacturerMapping[brandName.toLowerCase().replace(/\s+/g, '')] = brandValue;
-            manufacturerMapping[brandName.toLowerCase().replace(/\s+/g, '_')] = brandValue;
-            manufacturerMapping[brandName.toLowerCase().replace(/\s+/g, '-')] = brandValue;
-            
-            // Add common suffixes
-            manufacturerMapping[brandValue + '_music'] = brandValue;
-            manufacturerMapping[brandValue + 'music'] = brandValue;
-            manufacturerMapping[brandValue + '_audio'] = brandValue;
-            manufacturerMapping[brandValue + 'audio'] = brandValue;
-            manufacturerMapping[brandValue + '_electronics'] = brandValue;
-            manufacturerMapping[brandValue + 'electronics'] = brandValue;
-            manufacturerMapping[brandValue + '_pedals'] = brandValue;
-            manufacturerMapping[brandValue + 'pedals'] = brandValue;
-            manufacturerMapping[brandValue + '_effects'] = brandValue;
-            manufacturerMapping[brandValue + 'effects'] = brandValue;
-            manufacturerMapping[brandValue + '_engineering'] = brandValue;
-            manufacturerMapping[brandValue + 'engineering'] = brandValue;
-            
-            // Add name variations with spaces/underscores/dashes replaced
-            manufacturerMapping[brandValue.replace(/-/g, '_')] = brandValue;
-            manufacturerMapping[brandValue.replace(/_/g, '-')] = brandValue;
-            
-            // Process device models if available
-            if (brand.models && Array.isArray(brand.models)) {
-                brand.models.forEach(model => {
-                    if (!model.value) return; // Skip entries without values
-                    
-                    const modelValue = model.value;
-                    const modelName = model.name || modelValue;
-                    
-                    // Add the primary model mapping - map to value (key)
-                    deviceMapping[modelValue] = modelValue;
-                    
-                    // Add variations of model names - also map to value (key)
-                    deviceMapping[modelName.toLowerCase()] = modelValue;
-                    deviceMapping[modelName.toLowerCase().replace(/\s+/g, '')] = modelValue;
-                    deviceMapping[modelName.toLowerCase().replace(/\s+/g, '_')] = modelValue;
-                    deviceMapping[modelName.toLowerCase().replace(/\s+/g, '-')] = modelValue;
-                    
-                    // Add common model variations with different separators
-                    deviceMapping[modelValue.replace(/-/g, '_')] = modelValue;
-                    deviceMapping[modelValue.replace(/_/g, '-')] = modelValue;
-                    deviceMapping[modelValue.replace(/\./g, '')] = modelValue;
-                    
-                    // Special case for roman numerals and MK versions
-                    deviceMapping[modelValue.replace(/mk(\d+)/i, 'mark$1')] = modelValue;
-                    deviceMapping[modelValue.replace(/mark(\d+)/i, 'mk$1')] = modelValue;
-                    deviceMapping[modelValue.replace(/mkii/i, 'mk2')] = modelValue;
-                    deviceMapping[modelValue.replace(/mk2/i, 'mkii')] = modelValue;
-                });
-            }
+    mapping.brands.forEach(brand => {
+        // Every spelling of the brand maps to its value (key)
+        brandVariants(brand).forEach(key => {
+            manufacturerMapping[key] = brand.value;
         });
-        
-        // Brand display names - map from value (key) to display name
-        const brandDisplayNames = {};
-        mapping.brands.forEach(brand => {
-            brandDisplayNames[brand.value] = brand.name;
-        });
-        
-        // Model display names - map from value (key) to display name
-        const modelDisplayNames = {};
-        mapping.brands.forEach(brand => {
-            if (brand.models && Array.isArray(brand.models)) {
-                brand.models.forEach(model => {
-                    if (model.value && model.name) {
-                        if (!modelDisplayNames[brand.value]) {
-                            modelDisplayNames[brand.value] = {};
-                        }
-                        modelDisplayNames[brand.value][model.value] = model.name;
-                    }
-                });
+        brandDisplayNames[brand.value] = brand.name;
+
+        // Process device models if available, keyed like the normalized brand
+        const scope = brandScope(brand.value);
+        const models = deviceMapping[scope] = deviceMapping[scope] || {};
+        (brand.models || []).forEach(model => {
+            modelVariants(model).forEach(key => {
+                models[key] = model.value;
+            });
+            if (model.name) {
+                modelDisplayNames[scope] = modelDisplayNames[scope] || {};
+                modelDisplayNames[scope][model.value] = model.name;
             }
         });
-        
-        console.log(`Loaded mappings for ${Object.keys(manufacturerMapping).length} manufacturer variations and ${Object.keys(deviceMapping).length} device variations`);
-        return { manufacturerMapping, deviceMapping, brandDisplayNames, modelDisplayNames };
-    } catch (error) {
-        console.error('Error loading mapping.json:', error);
-        return { manufacturerMapping: {}, deviceMapping: {}, brandDisplayNames: {}, modelDisplayNames: {} };
-    }
-}
-
-// Paths to the JSON files
-const targetDbPath = findLatestDatabase();
-const sourceDbPath = path.join(__dirname, 'all.json');
+        deviceVariationCount += Object.keys(models).length;
+    });
 
-// Changed output file names to be simpler
-const outputPath = path.join(__dirname, 'midi.json');
-const minifiedPath = path.join(__dirname, 'midi.min.json');
-const gzipPath = path.join(__dirname, 'midi.min.json.gz');
+    console.log(`Loaded mappings for ${Object.keys(manufacturerMapping).length} manufacturer variations and ${deviceVariationCount} device variations`);
+    return { manufacturerMapping, deviceMapping, brandDisplayNames, modelDisplayNames };
+}
 
-// Load mappings from mapping.json
-const { 
-    manufacturerMapping, 
-    deviceMapping, 
-    brandDisplayNames, 
-    modelDisplayNames 
-} = loadMappings();
+// Folded lookup indexes, built once per mapping table
+const foldedIndexes = new WeakMap();
 
-// Function to handle normalization and mapping with model number preservation
+// Function to handle normalization and mapping with model number preservation.
+// match says how the key was found: "exact", "lowercase", "folded" (ignoring
+// punctuation, diacritics and word order) or null when mapping.json lacks it.
 function normalizeAndMapKey(key, mappingTable = {}, displayNameTable = null) {
-    // Direct mapping lookup (exact match)
-    if (mappingTable[key]) {
-        const normalizedKey = mappingTable[key];
+    const mapped = (normalizedKey, match) => {
         // Get display name if available
         const displayName = displayNameTable ? (displayNameTable[normalizedKey] || normalizedKey) : normalizedKey;
-        
         return {
             normalized: normalizedKey.toLowerCase().replace(/\s+/g, '_'),
-            canonical: displayName
+            canonical: displayName,
+            match
         };
+    };
+
+    // Direct mapping lookup (exact match)
+    if (mappingTable[key]) {
+        return mapped(mappingTable[key], 'exact');
     }
 
     // Lowercase lookup
-    const lowercaseKey = key.toLowerCase();
-    if (mappingTable[lowercaseKey]) {
-        const normalizedKey = mappingTable[lowercaseKey];
-        const displayName = displayNameTable ? (displayNameTable[normalizedKey] || normalizedKey) : normalizedKey;
-        
-        return {
-            normalized: normalizedKey.toLowerCase().replace(/\s+/g, '_'),
-            canonical: displayName
-        };
+    if (mappingTable[key.toLowerCase()]) {
+        return mapped(mappingTable[key.toLowerCase()], 'lowercase');
     }
-    
-    // No mapping found - create normalized version that preserves model identifiers
-    // Convert spaces to underscores, convert to lowercase
+
+    // Folded lookup: "3_Degrees-Audio", "Mäander" and "Dream Deckard's" style spellings
+    if (!foldedIndexes.has(mappingTable)) {
+        foldedIndexes.set(mappingTable, buildFoldedIndex(mappingTable));
+    }
+    const foldedKey = lookupFolded(key, foldedIndexes.get(mappingTable));
+    if (foldedKey) {
+        return mapped(foldedKey, 'folded');
+    }
+
+    // No mapping found - reduce to letters and digits like mapping.json values,
+    // so spellings that differ only in punctuation still end up together
     return {
-        normalized: key.toLowerCase().replace(/\s+/g, '_'),
-        canonical: key
+        normalized: compactKey(key) || key.toLowerCase().replace(/\s+/g, '_'),
+        canonical: key,
+        match: null
     };
 }
 
 // Function to get display name for model from modelDisplayNames
-function getModelDisplayName(brandKey, modelKey) {
+function getModelDisplayName(modelDisplayNames, brandKey, modelKey) {
     if (modelDisplayNames[brandKey] && modelDisplayNames[brandKey][modelKey]) {
         return modelDisplayNames[brandKey][modelKey];
     }
     return modelKey;
 }
 
-// Function to merge device data, preferring the more complete version
-function mergeDevices(deviceA, deviceB) {
-    // Create a merged device preferring non-empty values
-    const merged = { ...deviceB, ...deviceA }; // Start with deviceB, overwrite with deviceA
-
-    // Special handling for arrays like cc, nrpn, pc
-    ['cc', 'nrpn', 'pc'].forEach(arrayField => {
-        if (deviceA[arrayField]?.length > 0 && deviceB[arrayField]?.length > 0) {
-            // Both have items - use the one with more data
-            merged[arrayField] = deviceA[arrayField].length >= deviceB[arrayField].length
-                ? deviceA[arrayField]
-                : deviceB[arrayField];
-        } else if (deviceA[arrayField]?.length > 0) {
-            merged[arrayField] = deviceA[arrayField];
-        } else if (deviceB[arrayField]?.length > 0) {
-            merged[arrayField] = deviceB[arrayField];
-        } else {
-            merged[arrayField] = [];
+// Placeholder values createStandardDevice uses when upstream has nothing
+function isEmptyValue(value) {
+    return value === undefined || value === null || value === "" || value === false ||
+        value === "None" || (Array.isArray(value) && value.length === 0);
+}
+
+// Scalar fields whose winning source is recorded in the provenance
+const provenanceFields = [
+    'midi_thru', 'midi_in', 'midi_clock', 'phantom_power',
+    'midi_channel.instructions', 'midi_channel.default_channel', 'instructions',
+    'capabilities.connectors', 'capabilities.thru', 'capabilities.clock.send',
+    'capabilities.clock.receive', 'capabilities.phantom_power',
+    'pc.description', 'pc.ranges', 'pc.presets', 'pc.bank_select.msb', 'pc.bank_select.lsb',
+    'links.manual', 'links.website',
+    'metadata.model', 'metadata.contact_email', 'metadata.midi_mapping'
+];
+
+// Function to tell whether a provenance field holds nothing. Parsed capabilities
+// use null for unknown, so false there is a real answer rather than a placeholder.
+function isEmptyField(field, value) {
+    if (field.startsWith('capabilities.') || field === 'midi_channel.default_channel') {
+        return value === undefined || value === null || (Array.isArray(value) && value.length === 0);
+    }
+    return isEmptyValue(value);
+}
+
+// Function to read a dotted field path like midi_channel.instructions
+function getFieldValue(device, field) {
+    return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), device);
+}
+
+// Function to attribute every non-empty field and parameter of a device to one source
+function describeSources(device, sourceName) {
+    const fields = {};
+    provenanceFields.forEach(field => {
+        if (!isEmptyField(field, getFieldValue(device, field))) {
+            fields[field] = sourceName;
         }
     });
 
-    // Handle nested objects like midi_channel
-    if (deviceA.midi_channel?.instructions && deviceB.midi_channel?.instructions) {
-        // Use the longer instructions
-        merged.midi_channel.instructions =
-            deviceA.midi_channel.instructions.length >= deviceB.midi_channel.instructions.length
-                ? deviceA.midi_channel.instructions
-                : deviceB.midi_channel.instructions;
-    }
+    const parameters = {};
+    parameterFields.forEach(kind => {
+        parameters[kind] = {};
+        (device[kind] || []).forEach(entry => {
+            parameters[kind][parameterKey(kind, entry)] = { source: sourceName };
+        });
+    });
+
+    return { fields, parameters };
+}
+
+// Function to merge device data and report per-parameter origins and conflicts
+function mergeDeviceData(deviceA, deviceB) {
+    // Start with deviceB, overwrite with every non-empty value of deviceA
+    const merged = { ...deviceB };
+    Object.entries(deviceA).forEach(([field, value]) => {
+        if (!isEmptyValue(value) || merged[field] === undefined) {
+            merged[field] = value;
+        }
+    });
+
+    // Special handling for arrays like cc, nrpn - union keyed by number
+    const parameterMerges = {};
+    parameterFields.forEach(kind => {
+        parameterMerges[kind] = mergeParameterLists(kind, deviceA[kind] || [], deviceB[kind] || []);
+        merged[kind] = parameterMerges[kind].list;
+    });
+    merged.pc = mergeProgramChange(deviceA.pc, deviceB.pc);
+    merged.capabilities = mergeCapabilities(deviceA.capabilities, deviceB.capabilities);
+
+    // Handle nested objects like midi_channel, links and metadata key by key
+    merged.midi_channel = {
+        instructions: deviceA.midi_channel?.instructions || deviceB.midi_channel?.instructions || "",
+        default_channel: deviceA.midi_channel?.default_channel ?? deviceB.midi_channel?.default_channel ?? null
+    };
+    ['links', 'metadata'].forEach(section => {
+        if (!deviceA[section] && !deviceB[section]) return;
+        merged[section] = { ...deviceB[section] };
+        Object.entries(deviceA[section] || {}).forEach(([key, value]) => {
+            if (!isEmptyValue(value) || merged[section][key] === undefined) {
+                merged[section][key] = value;
+            }
+        });
+    });
 
     // Ensure all required fields exist
     merged.midi_thru = merged.midi_thru || false;
     merged.midi_in = merged.midi_in || "";
     merged.midi_clock = merged.midi_clock || false;
     merged.phantom_power = merged.phantom_power || "None";
-    merged.midi_channel = merged.midi_channel || { instructions: "" };
     merged.instructions = merged.instructions || "";
 
-    return merged;
+    return { merged, parameterMerges };
+}
+
+// Function to merge device data; deviceA comes from the higher priority source
+function mergeDevices(deviceA, deviceB) {
+    return mergeDeviceData(deviceA, deviceB).merged;
+}
+
+// Function to merge device data and record which source won each field and parameter
+function mergeDevicesWithProvenance(deviceA, deviceB, provenanceA = {}, provenanceB = {}) {
+    const { merged, parameterMerges } = mergeDeviceData(deviceA, deviceB);
+    const fieldsA = provenanceA.fields || {};
+    const fieldsB = provenanceB.fields || {};
+    const parametersA = provenanceA.parameters || {};
+    const parametersB = provenanceB.parameters || {};
+
+    // Whatever deviceA contributed came from its sources, the rest from deviceB's
+    const fields = {};
+    provenanceFields.forEach(field => {
+        const value = getFieldValue(merged, field);
+        if (isEmptyField(field, value)) return;
+
+        const source = isEmptyField(field, getFieldValue(deviceA, field)) ? fieldsB[field] : fieldsA[field];
+        if (source) {
+            fields[field] = source;
+        }
+    });
+
+    const parameters = {};
+    const conflicts = [];
+    parameterFields.forEach(kind => {
+        const { list, origins } = parameterMerges[kind];
+        const sourcesA = parametersA[kind] || {};
+        const sourcesB = parametersB[kind] || {};
+
+        parameters[kind] = {};
+        list.forEach((entry, index) => {
+            const key = parameterKey(kind, entry);
+            const origin = origins[index];
+
+            // Several entries can share a number; the record follows the first,
+            // which comes from deviceA when deviceA has the number at all
+            const record = parameters[kind][key] || { ...(origin.from === 'a' ? sourcesA[key] : sourcesB[key]) };
+
+            if (origin.filled.length > 0) {
+                record.filled = { ...record.filled };
+                origin.filled.forEach(field => {
+                    record.filled[field] = sourcesB[key]?.source;
+                });
+            }
+            parameters[kind][key] = record;
+        });
+
+        parameterMerges[kind].conflicts.forEach(conflict => {
+            conflicts.push({
+                kind,
+                key: conflict.key,
+                fields: conflict.fields,
+                kept: { source: sourcesA[conflict.key]?.source, entry: conflict.kept },
+                other: { source: sourcesB[conflict.key]?.source, entry: conflict.other }
+            });
+        });
+    });
+
+    return { merged, provenance: { fields, parameters }, conflicts };
+}
+
+// Upstream spellings of standard fields, folded in when the standard key is empty
+const fieldAliases = {
+    'midi-thru': 'midi_thru',
+    'midi-in': 'midi_in',
+    'midi-clock': 'midi_clock',
+    'data': 'cc'
+};
+
+// Upstream fields createStandardDevice reads; anything else is dropped and reported
+const knownFields = [
+    'brand', 'device_name', 'midi_thru', 'midi_in', 'midi_clock', 'phantom_power',
+    'midi_channel', 'instructions', 'cc', 'nrpn', 'pc',
+    'url', 'email', 'model', 'midi_mapping',
+    ...Object.keys(fieldAliases)
+];
+
+// Function to fold alias keys like midi-thru into their standard field
+function foldAliases(deviceData) {
+    const folded = { ...deviceData };
+    Object.entries(fieldAliases).forEach(([alias, field]) => {
+        if (folded[alias] === undefined) return;
+        if (isEmptyValue(folded[field])) {
+            folded[field] = folded[alias];
+        }
+        delete folded[alias];
+    });
+    return folded;
+}
+
+// Function to list the upstream keys of a device that the standard model drops
+function findUnknownFields(deviceData) {
+    return Object.keys(deviceData).filter(key => !knownFields.includes(key));
+}
+
+// Function to tell a manual (PDF or documentation page) from a product page
+function isManualLink(url) {
+    return /\.pdf(\?|#|$)|manual|documentation|docs?\b/i.test(url);
+}
+
+// Function to coerce upstream text (sometimes null or an array of lines) to a string
+function toText(value, fallback = "") {
+    if (value === undefined || value === null) return fallback;
+    if (Array.isArray(value)) {
+        return value.filter(item => item !== undefined && item !== null).join('\n') || fallback;
+    }
+    return String(value) || fallback;
+}
+
+// Function to coerce upstream yes/no values to a boolean
+function toFlag(value) {
+    if (typeof value === 'string') {
+        return /^(yes|true|y)$/i.test(value.trim());
+    }
+    return Boolean(value);
+}
+
+// Function to coerce upstream numbers (sometimes strings) to integers
+function toInteger(value, fallback) {
+    if (value === undefined || value === null || value === "") return fallback;
+    if (typeof value !== 'string') return value;
+
+    // parseInt would read "0=OFF, 127=ON" as 0 and "0-127" as 0; anything
+    // but digits is NaN, so the entry is rejected instead of sent to CC 0
+    return /^\s*\d+\s*$/.test(value) ? parseInt(value, 10) : NaN;
+}
+
+// Function to read a parameter list that may be missing or malformed upstream
+function toList(value) {
+    return Array.isArray(value) ? value.filter(entry => entry && typeof entry === 'object') : [];
 }
 
 // Function to create a standardized device object
-function createStandardDevice(deviceData, brandName, deviceName) {
+function createStandardDevice(rawDeviceData, brandName, deviceName) {
+    const deviceData = foldAliases(rawDeviceData);
+    const url = toText(deviceData.url).trim();
+    const cc = toList(deviceData.cc).map(cc => ({
+        name: toText(cc.name),
+        description: toText(cc.description),
+        usage: toText(cc.usage),
+        curve: toText(cc.curve, "0-based"),
+        value: toInteger(cc.value),
+        min: toInteger(cc.min, 0),
+        max: toInteger(cc.max, 127),
+        type: toText(cc.type, "Parameter")
+    }));
+
     return {
         brand: brandName,
         device_name: deviceName,
-        midi_thru: deviceData.midi_thru || false,
-        midi_in: deviceData.midi_in || "",
-        midi_clock: deviceData.midi_clock || false,
-        phantom_power: deviceData.phantom_power || "None",
+        midi_thru: toFlag(deviceData.midi_thru),
+        midi_in: toText(deviceData.midi_in),
+        midi_clock: toFlag(deviceData.midi_clock),
+        phantom_power: deviceData.phantom_power === true ? "Yes" : toText(deviceData.phantom_power || "None"),
         midi_channel: {
-            instructions: deviceData.midi_channel?.instructions || ""
+            instructions: toText(deviceData.midi_channel?.instructions),
+            default_channel: parseDefaultChannel(toText(deviceData.midi_channel?.instructions))
         },
-        instructions: deviceData.instructions || "",
-        cc: (deviceData.cc || []).map(cc => ({
-            name: cc.name || "",
-            description: cc.description || "",
-            usage: cc.usage || "",
-            curve: cc.curve || "0-based",
-            value: typeof cc.value === 'string' ? parseInt(cc.value, 10) : cc.value,
-            min: typeof cc.min === 'string' ? parseInt(cc.min, 10) : (cc.min !== undefined ? cc.min : 0),
-            max: typeof cc.max === 'string' ? parseInt(cc.max, 10) : (cc.max !== undefined ? cc.max : 127),
-            type: cc.type || "Parameter"
-        })),
-        nrpn: (deviceData.nrpn || []).map(nrpn => ({
-            name: nrpn.name || "",
-            description: nrpn.description || "",
-            usage: nrpn.usage || "",
-            curve: nrpn.curve || "0-based",
-            msb: typeof nrpn.msb === 'string' ? parseInt(nrpn.msb, 10) : nrpn.msb,
-            lsb: typeof nrpn.lsb === 'string' ? parseInt(nrpn.lsb, 10) : nrpn.lsb,
-            min: typeof nrpn.min === 'string' ? parseInt(nrpn.min, 10) : (nrpn.min !== undefined ? nrpn.min : 0),
-            max: typeof nrpn.max === 'string' ? parseInt(nrpn.max, 10) : (nrpn.max !== undefined ? nrpn.max : 16383),
-            type: nrpn.type || "Parameter"
+        instructions: toText(deviceData.instructions),
+        capabilities: normalizeCapabilities(deviceData),
+        cc,
+        nrpn: toList(deviceData.nrpn).map(nrpn => ({
+            name: toText(nrpn.name),
+            description: toText(nrpn.description),
+            usage: toText(nrpn.usage),
+            curve: toText(nrpn.curve, "0-based"),
+            msb: toInteger(nrpn.msb),
+            lsb: toInteger(nrpn.lsb),
+            min: toInteger(nrpn.min, 0),
+            max: toInteger(nrpn.max, 16383),
+            type: toText(nrpn.type, "Parameter")
         })),
-        pc: []
+        pc: normalizeProgramChange(deviceData.pc, cc),
+        links: {
+            manual: url && isManualLink(url) ? url : "",
+            website: url && !isManualLink(url) ? url : ""
+        },
+        metadata: {
+            model: toText(deviceData.model),
+            contact_email: toText(deviceData.email),
+            midi_mapping: toText(deviceData.midi_mapping)
+        }
     };
 }
 
-try {
-    console.log('Reading source files...');
-    const targetDb = JSON.parse(fs.readFileSync(targetDbPath, 'utf8'));
-    const sourceDb = JSON.parse(fs.readFileSync(sourceDbPath, 'utf8'));
-
-    // Preserve metadata from target database
-    const metadata = {};
-    const reservedKeys = ['version', 'generatedAt'];
-    reservedKeys.forEach(key => {
-        if (targetDb[key] !== undefined) {
-            metadata[key] = targetDb[key];
-        }
+// Function to remove parameters that have no usable CC number or NRPN address,
+// or a min/max that isn't a whole number. Each rejection names the first field at
+// fault and the entry's position in the upstream list.
+function rejectUnaddressable(device) {
+    const rejected = [];
+    ['cc', 'nrpn'].forEach(kind => {
+        const fields = kind === 'nrpn' ? ['msb', 'lsb', 'min', 'max'] : ['value', 'min', 'max'];
+        device[kind] = device[kind].filter((entry, index) => {
+            const field = fields.find(name => !Number.isInteger(entry[name]));
+            if (field) {
+                rejected.push({ kind, field, index, entry });
+            }
+            return !field;
+        });
     });
+    return rejected;
+}
 
-    console.log('Combining and normalizing devices...');
+// Function to remember a brand or device key that mapping.json doesn't list
+// verbatim, with the sources it came from and suggested mapping.json targets
+function noteKeyMatch(report, id, details, result, sourceName, suggest) {
+    if (result.match === 'exact' || result.match === 'lowercase') return;
 
-    // Combine all devices from both databases and group by normalized names
-    const manufacturers = {};
-    const normalizedDeviceMap = {};
-
-    // Process target database
-    Object.entries(targetDb).forEach(([brandKey, brandData]) => {
-        // Skip metadata fields
-        if (reservedKeys.includes(brandKey)) return;
+    if (!report[id]) {
+        report[id] = result.match === 'folded'
+            ? { ...details, target: result.normalized, sources: [] }
+            : { ...details, suggestions: suggest(), sources: [] };
+    }
+    if (!report[id].sources.includes(sourceName)) {
+        report[id].sources.push(sourceName);
+    }
+}
 
+// Function to add every device of one adapted source to the shared maps
+function ingestSource(source, mappings, state) {
+    const { manufacturers, normalizedDeviceMap, rejected, droppedFields, unmapped } = state;
+    const {
+        manufacturerMapping,
+        deviceMapping,
+        brandDisplayNames,
+        modelDisplayNames
+    } = mappings;
+
+    Object.entries(source.brands).forEach(([brandKey, brandData]) => {
         // Get normalized and canonical keys for manufacturer
-        const { normalized: normalizedBrand, canonical: canonicalBrand } =
-            normalizeAndMapKey(brandKey, manufacturerMapping, brandDisplayNames);
+        const brandMatch = normalizeAndMapKey(brandKey, manufacturerMapping, brandDisplayNames);
+        const { normalized: normalizedBrand, canonical: canonicalBrand } = brandMatch;
+
+        // Keep track of keys mapping.json should learn about
+        noteKeyMatch(
+            brandMatch.match === 'folded' ? unmapped.foldedBrands : unmapped.brands,
+            brandKey, { key: brandKey }, brandMatch, source.name,
+            () => suggestTargets(brandKey, Object.entries(brandDisplayNames).map(([value, name]) => ({ value, name })))
+        );
 
         // Save original and normalized forms
         if (!manufacturers[normalizedBrand]) {
@@ -298,136 +464,209 @@ try {
                 canonicalName: canonicalBrand, // Store canonical name
                 devices: {}
             };
-        } else {
+        } else if (!manufacturers[normalizedBrand].variants.includes(brandKey)) {
             manufacturers[normalizedBrand].variants.push(brandKey);
         }
 
         Object.entries(brandData).forEach(([deviceKey, deviceData]) => {
             // Get normalized and canonical keys for device
-            const { normalized: normalizedDevice, canonical: canonicalDevice } =
-                normalizeAndMapKey(deviceKey, deviceMapping);
-            const displayDeviceName = getModelDisplayName(normalizedBrand, normalizedDevice);
-
+            const deviceMatch = normalizeAndMapKey(deviceKey, deviceMapping[normalizedBrand] || {});
+            const { normalized: normalizedDevice } = deviceMatch;
             const deviceId = `${normalizedBrand}_${normalizedDevice}`;
 
+            // Unmapped devices are shown as first spelled upstream, not by their compacted key
+            const displayDeviceName = deviceMatch.match
+                ? getModelDisplayName(modelDisplayNames, normalizedBrand, normalizedDevice)
+                : normalizedDeviceMap[deviceId]?.[0]?.canonicalDeviceName || deviceKey.toLowerCase().replace(/\s+/g, '_');
+
+            noteKeyMatch(
+                deviceMatch.match === 'folded' ? unmapped.foldedDevices : unmapped.devices,
+                `${normalizedBrand}/${deviceKey}`, { brand: canonicalBrand, key: deviceKey }, deviceMatch, source.name,
+                () => suggestTargets(deviceKey, Object.entries(modelDisplayNames[normalizedBrand] || {}).map(([value, name]) => ({ value, name })))
+            );
+
             if (!normalizedDeviceMap[deviceId]) {
                 normalizedDeviceMap[deviceId] = [];
             }
 
-            // Store both original key and canonical name
+            const data = createStandardDevice(deviceData, canonicalBrand, displayDeviceName);
+
+            // Count upstream fields the standard model doesn't know yet
+            findUnknownFields(deviceData).forEach(field => {
+                const key = `${source.name}:${field}`;
+                droppedFields[key] = (droppedFields[key] || 0) + 1;
+            });
+
+            // Parameters without a number can't be sent - report them, with the upstream
+            // value of the field at fault, instead of merging them
+            rejectUnaddressable(data).forEach(({ kind, field, index, entry }) => {
+                const upstream = toList(foldAliases(deviceData)[kind])[index]?.[field];
+                rejected.push({ source: source.name, brand: brandKey, device: deviceKey, kind, field, upstream, entry });
+            });
+
+            // Store the source, the original keys and the canonical names
             normalizedDeviceMap[deviceId].push({
+                source: source.name,
+                priority: source.priority,
                 brandKey,
                 deviceKey,
                 canonicalBrandName: canonicalBrand,
                 canonicalDeviceName: displayDeviceName,
-                data: createStandardDevice(deviceData, deviceData.brand || canonicalBrand, deviceData.device_name || displayDeviceName)
+                data
             });
 
             manufacturers[normalizedBrand].devices[normalizedDevice] = deviceId;
         });
     });
+}
 
-    // Process source database
-    Object.entries(sourceDb).forEach(([brandKey, brandData]) => {
-        // Apply manual mapping first, then normalize
-        const { normalized: normalizedBrand, canonical: canonicalBrand } = 
-            normalizeAndMapKey(brandKey, manufacturerMapping, brandDisplayNames);
+// Function to order sources from highest to lowest priority (stable for ties)
+function sortByPriority(sources) {
+    return [...sources].sort((a, b) => (b.priority || 0) - (a.priority || 0));
+}
 
-        if (!manufacturers[normalizedBrand]) {
-            manufacturers[normalizedBrand] = {
-                variants: [brandKey],
-                canonicalName: canonicalBrand,
-                devices: {}
-            };
-        } else if (!manufacturers[normalizedBrand].variants.includes(brandKey)) {
-            manufacturers[normalizedBrand].variants.push(brandKey);
+// Function to order the upstream variants of one device: by source priority, then
+// data completeness, then source and upstream keys so ties don't depend on input order
+function orderVariants(variants) {
+    const parameterCount = variant => (variant.data.cc?.length || 0) + (variant.data.nrpn?.length || 0);
+    return [...variants].sort((a, b) => {
+        if (a.priority !== b.priority) {
+            return b.priority - a.priority;
         }
+        return parameterCount(b) - parameterCount(a) ||
+            compareKeys(a.source, b.source) ||
+            compareKeys(a.brandKey, b.brandKey) ||
+            compareKeys(a.deviceKey, b.deviceKey);
+    });
+}
 
-        Object.entries(brandData).forEach(([deviceKey, deviceData]) => {
-            // Apply manual mapping first, then normalize
-            const { normalized: normalizedDevice, canonical: canonicalDevice } = 
-                normalizeAndMapKey(deviceKey, deviceMapping);
-            const displayDeviceName = getModelDisplayName(normalizedBrand, normalizedDevice);
-
-            const deviceId = `${normalizedBrand}_${normalizedDevice}`;
-
-            if (!normalizedDeviceMap[deviceId]) {
-                normalizedDeviceMap[deviceId] = [];
+// Function to combine all adapted sources into the final database, its provenance,
+// the parameter conflicts found while merging, the parameters rejected on ingestion,
+// a count of upstream fields dropped per "source:field", the override report and
+// the parameter tag report
+function buildDatabase(sources, mappings, options = {}) {
+    // Preserve metadata from the highest priority source that has any
+    const metadata = {};
+    const metadataSource = sortByPriority(sources).find(source => Object.keys(source.metadata || {}).length > 0);
+    if (metadataSource) {
+        reservedKeys.forEach(key => {
+            if (metadataSource.metadata[key] !== undefined) {
+                metadata[key] = metadataSource.metadata[key];
             }
+        });
+    }
 
-            // Special handling for PC if it's an object instead of array
-            if (deviceData.pc && !Array.isArray(deviceData.pc)) {
-                const pcData = deviceData.pc;
-                deviceData.pc = [{
-                    name: "Program Change",
-                    description: pcData.description || "",
-                    usage: "",
-                    curve: "0-based",
-                    value: 0,
-                    min: 0,
-                    max: 127,
-                    type: "Parameter"
-                }];
-            }
+    // Combine all devices from every source and group by normalized names
+    const manufacturers = {};
+    const normalizedDeviceMap = {};
 
-            normalizedDeviceMap[deviceId].push({
-                brandKey,
-                deviceKey,
-                canonicalBrandName: canonicalBrand,
-                canonicalDeviceName: displayDeviceName,
-                data: createStandardDevice(deviceData, canonicalBrand, displayDeviceName)
-            });
+    const rejected = [];
+    const droppedFields = {};
+    const unmapped = { brands: {}, devices: {}, foldedBrands: {}, foldedDevices: {} };
 
-            manufacturers[normalizedBrand].devices[normalizedDevice] = deviceId;
-        });
-    });
+    sources.forEach(source => ingestSource(source, mappings, { manufacturers, normalizedDeviceMap, rejected, droppedFields, unmapped }));
 
     // Select the best brand name for each normalized manufacturer
     const finalDb = { ...metadata };
+    const provenance = {};
+    const conflicts = [];
+
+    // Patch files can split upstream variants off into their own device
+    const overrides = options.overrides || [];
+    const overrideReport = [];
+    const separations = indexSeparations(overrides);
+    const seenIds = new Set();
 
     Object.entries(manufacturers).forEach(([normalizedBrand, data]) => {
         // Use the canonical name for the brand
         const primaryBrandKey = data.canonicalName;
 
-        finalDb[primaryBrandKey] = {};
+        // Two normalized brands can share a display name - don't let the second wipe the first
+        finalDb[primaryBrandKey] = finalDb[primaryBrandKey] || {};
+        provenance[primaryBrandKey] = provenance[primaryBrandKey] || {};
 
         // Process each device
         Object.entries(data.devices).forEach(([normalizedDevice, deviceId]) => {
             const deviceVariants = normalizedDeviceMap[deviceId];
 
-            // Don't merge different models - split by canonical name
+            // Stable ID from the mapping.json keys, so renaming a display name doesn't change it
+            const baseId = `${slugify(normalizedBrand)}/${slugify(normalizedDevice)}`;
+            const rules = separations.get(baseId) || [];
+            const separatedNames = new Set();
+            seenIds.add(baseId);
+
+            // Don't merge different models - split by canonical name. Each name's ID
+            // suffix comes from an upstream key, never from a display name, so
+            // renaming a model in mapping.json or an override keeps the ID
             const variantsByName = {};
+            const suffixKeys = {};
 
             deviceVariants.forEach(variant => {
-                const modelName = variant.canonicalDeviceName || variant.deviceKey;
+                let modelName = variant.canonicalDeviceName || variant.deviceKey;
+
+                const separation = rules.find(({ rule }) => matchesSeparation(rule, variant));
+                if (separation) {
+                    // Only a real split if another variant would have shared the name
+                    separation.matched++;
+                    separation.split = separation.split || deviceVariants.some(other =>
+                        other !== variant && !matchesSeparation(separation.rule, other) &&
+                        (other.canonicalDeviceName || other.deviceKey) === modelName);
+                    modelName = separation.rule.device_name || variant.deviceKey;
+                    separatedNames.add(modelName);
+                }
+
                 if (!variantsByName[modelName]) {
                     variantsByName[modelName] = [];
+                    suffixKeys[modelName] = separation ? separation.rule.device : variant.deviceKey;
                 }
                 variantsByName[modelName].push(variant);
             });
 
-            // Process each distinct model separately
-            Object.entries(variantsByName).forEach(([modelName, variants]) => {
-                // Sort variants of this specific model by data completeness
-                variants.sort((a, b) => {
-                    const aCount = (a.data.cc?.length || 0) + (a.data.nrpn?.length || 0) + (a.data.pc?.length || 0);
-                    const bCount = (b.data.cc?.length || 0) + (b.data.nrpn?.length || 0) + (b.data.pc?.length || 0);
-                    return bCount - aCount;
-                });
+            // Separated devices always get a suffix; the rest keep the base ID unless they differ
+            const modelNames = Object.keys(variantsByName).filter(name => !separatedNames.has(name));
 
+            // Process each distinct model separately
+            Object.entries(variantsByName).forEach(([modelName, group]) => {
+                const variants = orderVariants(group);
                 const primaryVariant = variants[0];
 
                 // Merge data only from variants with the same model name
                 let mergedData = { ...primaryVariant.data };
+                let deviceSources = describeSources(primaryVariant.data, primaryVariant.source);
                 if (variants.length > 1) {
                     for (let i = 1; i < variants.length; i++) {
-                        mergedData = mergeDevices(mergedData, variants[i].data);
+                        const result = mergeDevicesWithProvenance(
+                            mergedData,
+                            variants[i].data,
+                            deviceSources,
+                            describeSources(variants[i].data, variants[i].source)
+                        );
+                        mergedData = result.merged;
+                        deviceSources = result.provenance;
+                        result.conflicts.forEach(conflict => {
+                            conflicts.push({ brand: primaryBrandKey, device: modelName, ...conflict });
+                        });
                     }
                 }
 
-                // Ensure brand and device name are set correctly
-                mergedData.brand = primaryBrandKey;
-                mergedData.device_name = modelName;
+                // Ensure ID, brand and device name are set correctly
+                const id = modelNames.length > 1 || separatedNames.has(modelName) ? `${baseId}-${slugify(suffixKeys[modelName])}` : baseId;
+                mergedData = { id, ...mergedData, brand: primaryBrandKey, device_name: modelName };
+
+                // Record which upstream keys were merged and which source won each field
+                const record = {
+                    merged: variants.map(variant => ({
+                        source: variant.source,
+                        brand: variant.brandKey,
+                        device: variant.deviceKey
+                    })),
+                    fields: deviceSources.fields,
+                    parameters: deviceSources.parameters
+                };
+                provenance[primaryBrandKey][modelName] = record;
+                if (options.provenance === 'inline') {
+                    mergedData._sources = record;
+                }
 
                 // Add to final database under the appropriate name
                 finalDb[primaryBrandKey][modelName] = mergedData;
@@ -435,61 +674,248 @@ try {
         });
     });
 
-    // Write the final database
-    console.log('Writing final database...');
-    fs.writeFileSync(outputPath, JSON.stringify(finalDb, null, 2));
+    separations.forEach((entries, id) => {
+        entries.forEach(({ override, rule, matched, split }) => {
+            const status = !seenIds.has(id) ? 'missing' : (matched > 0 && split ? 'applied' : 'stale');
+            overrideReport.push(overrideEntry(override, 'separate', rule.device, status));
+        });
+    });
+    applyOverrides(finalDb, provenance, conflicts, overrides, overrideReport);
+    const sorted = sortDatabase(finalDb, provenance);
 
-    // Write the minified version
-    const minified = JSON.stringify(finalDb);
-    fs.writeFileSync(minifiedPath, minified);
+    // Tag parameters last, so tags follow patched names and patches can set a tag by hand
+    const tags = tagDatabase(sorted.finalDb);
 
-    // Write the gzipped version
-    const compressed = zlib.gzipSync(minified);
-    fs.writeFileSync(gzipPath, compressed);
+    return { finalDb: sorted.finalDb, provenance: sorted.provenance, conflicts, rejected, droppedFields, unmapped: listUnmapped(unmapped), overrides: overrideReport, tags };
+}
 
-    // Calculate file sizes
-    const prettySize = (fs.statSync(outputPath).size / 1024).toFixed(2);
-    const minSize = (fs.statSync(minifiedPath).size / 1024).toFixed(2);
-    const gzipSize = (fs.statSync(gzipPath).size / 1024).toFixed(2);
-
-    // Count statistics
-    let brandCount = 0;
-    let deviceCount = 0;
-    let ccCount = 0;
-    let nrpnCount = 0;
-    let pcCount = 0;
-
-    Object.keys(finalDb).forEach(key => {
+// Function to put the database in its canonical order: metadata first, brands by
+// the brand part of their device IDs, devices by ID, CC and NRPN entries by number
+// and program changes by program. The provenance follows the same order. Object
+// key order is what JSON.stringify writes, so this keeps upstream reordering out
+// of the output.
+function sortDatabase(finalDb, provenance) {
+    const sortedDb = {};
+    const sortedProvenance = {};
+    reservedKeys.forEach(key => {
+        if (finalDb[key] !== undefined) sortedDb[key] = finalDb[key];
+    });
+
+    const brandId = brand => Object.values(finalDb[brand]).map(device => device.id.split('/')[0]).sort(compareKeys)[0] || '';
+    const brands = Object.keys(finalDb).filter(key => !reservedKeys.includes(key));
+    brands.sort((a, b) => compareKeys(brandId(a), brandId(b)) || compareKeys(a, b));
+
+    brands.forEach(brand => {
+        sortedDb[brand] = {};
+        sortedProvenance[brand] = {};
+        const names = Object.keys(finalDb[brand]).sort((a, b) => compareKeys(finalDb[brand][a].id, finalDb[brand][b].id));
+
+        names.forEach(name => {
+            const device = finalDb[brand][name];
+            parameterFields.forEach(kind => {
+                device[kind] = sortParameters(kind, device[kind]);
+            });
+            if (device.pc) {
+                device.pc.ranges = [...device.pc.ranges].sort((a, b) => a.min - b.min || a.max - b.max || compareKeys(a.description, b.description));
+                device.pc.presets = [...device.pc.presets].sort((a, b) => a.program - b.program || compareKeys(a.name, b.name));
+            }
+            sortedDb[brand][name] = device;
+            sortedProvenance[brand][name] = provenance[brand][name];
+        });
+    });
+
+    return { finalDb: sortedDb, provenance: sortedProvenance };
+}
+
+// Function to build one line of the override report
+function overrideEntry(override, action, target, status) {
+    return { file: override.file, device: override.device, action, target, status, reason: override.reason || "" };
+}
+
+// Function to find a merged device by its ID; returns its brand and device name keys
+function findDeviceById(finalDb, id) {
+    for (const [brand, devices] of Object.entries(finalDb)) {
+        if (reservedKeys.includes(brand)) continue;
+        const name = Object.keys(devices).find(deviceName => devices[deviceName].id === id);
+        if (name !== undefined) return { brand, name };
+    }
+    return null;
+}
+
+// Function to drop a device (and its brand once empty) from the database and provenance
+function removeDevice(finalDb, provenance, { brand, name }) {
+    delete finalDb[brand][name];
+    delete provenance[brand][name];
+    if (Object.keys(finalDb[brand]).length === 0) {
+        delete finalDb[brand];
+        delete provenance[brand];
+    }
+}
+
+// Function to apply the patch files from the overrides directory after the merge,
+// in file order. Every action is reported as "applied", "stale" when upstream
+// already matches the patch, or "missing" when the device is gone.
+function applyOverrides(finalDb, provenance, conflicts, overrides, report) {
+    overrides.forEach(override => {
+        const note = (action, target, status) => report.push(overrideEntry(override, action, target, status));
+        const location = findDeviceById(finalDb, override.device);
+
+        if (!location) {
+            Object.keys(override.set || {}).forEach(field => note('set', field, 'missing'));
+            parameterFields.forEach(kind => Object.keys(override[kind] || {}).forEach(key => note(kind, key, 'missing')));
+            (override.merge || []).forEach(id => note('merge', id, 'missing'));
+            if (override.hide) note('hide', override.device, 'missing');
+            return;
+        }
+
+        const { brand } = location;
+        let name = location.name;
+        let device = finalDb[brand][name];
+        const record = provenance[brand][name];
+
+        // Force other devices into this one; this device wins like a higher priority source
+        (override.merge || []).forEach(otherId => {
+            const other = findDeviceById(finalDb, otherId);
+            if (!other || otherId === override.device) {
+                note('merge', otherId, 'stale');
+                return;
+            }
+
+            const otherRecord = provenance[other.brand][other.name];
+            const result = mergeDevicesWithProvenance(device, finalDb[other.brand][other.name], record, otherRecord);
+            result.conflicts.forEach(conflict => {
+                conflicts.push({ brand, device: name, ...conflict });
+            });
+
+            device = { ...result.merged, id: device.id, brand: device.brand, device_name: device.device_name };
+            finalDb[brand][name] = device;
+            record.merged.push(...otherRecord.merged);
+            record.fields = result.provenance.fields;
+            record.parameters = result.provenance.parameters;
+            removeDevice(finalDb, provenance, other);
+            note('merge', otherId, 'applied');
+        });
+
+        setFields(device, override.set || {}).forEach(({ target, status }) => {
+            if (status === 'applied' && provenanceFields.includes(target)) {
+                record.fields[target] = override.file;
+            }
+            note('set', target, status);
+        });
+
+        // A new device_name moves the device to its new key
+        if (device.device_name !== name) {
+            if (finalDb[brand][device.device_name]) {
+                throw new Error(`${override.file} renames ${override.device} to "${device.device_name}", which ${brand} already has`);
+            }
+            delete finalDb[brand][name];
+            delete provenance[brand][name];
+            name = device.device_name;
+            finalDb[brand][name] = device;
+            provenance[brand][name] = record;
+        }
+
+        parameterFields.forEach(kind => {
+            const createEntry = entry => createStandardDevice({ [kind]: [entry] }, device.brand, device.device_name)[kind][0];
+            patchParameters(device, kind, override[kind] || {}, createEntry).forEach(({ target, status }) => {
+                if (status === 'applied') {
+                    const patch = override[kind][target];
+                    if (patch !== null) {
+                        // A patch can move the entry to another number ("14": { "value": 20 })
+                        const [msb, lsb] = target.split(':').map(Number);
+                        const key = parameterKey(kind, kind === 'cc' ? { value: Number(target), ...patch } : { msb, lsb, ...patch });
+                        record.parameters[kind][key] = { source: override.file };
+                    }
+                    if (!device[kind].some(entry => parameterKey(kind, entry) === target)) {
+                        delete record.parameters[kind][target];
+                    }
+                }
+                note(kind, target, status);
+            });
+        });
+
+        if (override.hide) {
+            removeDevice(finalDb, provenance, { brand, name });
+            note('hide', override.device, 'applied');
+        }
+    });
+}
+
+// Function to turn the collected unmapped keys into the midi-unmapped.json report
+function listUnmapped(unmapped) {
+    return {
+        brands: Object.values(unmapped.brands),
+        devices: Object.values(unmapped.devices),
+        folded: [
+            ...Object.values(unmapped.foldedBrands).map(entry => ({ kind: 'brand', ...entry })),
+            ...Object.values(unmapped.foldedDevices).map(entry => ({ kind: 'device', ...entry }))
+        ]
+    };
+}
+
+// Function to count brands, devices and parameters in a database
+function countDatabase(db) {
+    const counts = { brands: 0, devices: 0, cc: 0, nrpn: 0, pc: 0 };
+
+    Object.keys(db).forEach(key => {
         // Skip metadata fields in statistics calculation
         if (reservedKeys.includes(key)) return;
 
-        brandCount++;
-        const brand = finalDb[key];
-        const devices = Object.values(brand);
-        deviceCount += devices.length;
+        counts.brands++;
+        const devices = Object.values(db[key]);
+        counts.devices += devices.length;
 
         devices.forEach(device => {
-            ccCount += device.cc ? device.cc.length : 0;
-            nrpnCount += device.nrpn ? device.nrpn.length : 0;
-            pcCount += device.pc ? device.pc.length : 0;
+            counts.cc += Array.isArray(device.cc) ? device.cc.length : 0;
+            counts.nrpn += Array.isArray(device.nrpn) ? device.nrpn.length : 0;
+            counts.pc += device.pc ? (device.pc.ranges || []).length + (device.pc.presets || []).length : 0;
         });
     });
 
-    // Create the version file with complete statistics
-    console.log('Creating version information file...');
-    const versionPath = path.join(__dirname, 'midi-database-version.json');
+    return counts;
+}
+
+// Function to gzip an output with a fixed header - modification time 0 and the
+// Unix OS byte - so the same content gives the same bytes on every machine
+function gzipDeterministic(content) {
+    const compressed = zlib.gzipSync(content);
+    compressed.writeUInt32LE(0, 4);
+    compressed[9] = 3;
+    return compressed;
+}
+
+// Function to serialize the final database and build the version information
+function renderOutputs(finalDb, sources, release = { version: initialVersion, bump: 'initial' }) {
+    const pretty = JSON.stringify(finalDb, null, 2);
+    const minified = JSON.stringify(finalDb);
+    const compressed = gzipDeterministic(minified);
+
+    // Calculate file sizes
+    const prettySize = (Buffer.byteLength(pretty) / 1024).toFixed(2);
+    const minSize = (Buffer.byteLength(minified) / 1024).toFixed(2);
+    const gzipSize = (compressed.length / 1024).toFixed(2);
+
+    const counts = countDatabase(finalDb);
     const versionInfo = {
-        version: finalDb.version || "unknown",
-        generatedAt: finalDb.generatedAt || new Date().toISOString(),
-        sourceFile: path.basename(targetDbPath),
+        version: release.version,
+        versionBump: release.bump,
+        schemaVersion: loadSchema().schemaVersion,
+        sourceVersion: sortByPriority(sources).find(source => source.metadata?.version !== undefined)?.metadata.version ?? "unknown",
+        generatedAt: release.generatedAt || finalDb.generatedAt || new Date().toISOString(),
+        sourceFile: sortByPriority(sources)[0]?.file || "unknown",
+        sources: sources.map(source => ({
+            name: source.name,
+            file: source.file,
+            priority: source.priority
+        })),
         databaseStats: {
-            brands: brandCount,
-            devices: deviceCount,
+            brands: counts.brands,
+            devices: counts.devices,
             parameters: {
-                cc: ccCount,
-                nrpn: nrpnCount,
-                pc: pcCount,
-                total: ccCount + nrpnCount + pcCount
+                cc: counts.cc,
+                nrpn: counts.nrpn,
+                pc: counts.pc,
+                total: counts.cc + counts.nrpn + counts.pc
             }
         },
         sizes: {
@@ -497,50 +923,333 @@ try {
             minifiedJson: `${minSize} KB`,
             gzippedJson: `${gzipSize} KB`,
             compressionRatio: `${(gzipSize / prettySize * 100).toFixed(1)}%`
+        },
+        // SHA-256 of every input and output file, for verifying downloads and caching by content
+        hashes: {
+            content: release.contentHash,
+            inputs: Object.fromEntries(sources.filter(source => source.sha256).map(source => [source.file, source.sha256])),
+            outputs: {
+                'midi.json': sha256(pretty),
+                'midi.min.json': sha256(minified),
+                'midi.min.json.gz': sha256(compressed)
+            }
         }
     };
-    
-    // Write the version file
-    fs.writeFileSync(versionPath, JSON.stringify(versionInfo, null, 2));
-    console.log(`Version information written to ${versionPath}`);
-
-    // Count original sources statistics
-    let targetBrandCount = 0;
-    let targetDeviceCount = 0;
-    let sourceBrandCount = 0;
-    let sourceDeviceCount = 0;
-
-    Object.keys(targetDb).forEach(key => {
-        if (reservedKeys.includes(key)) return;
-        targetBrandCount++;
-        targetDeviceCount += Object.keys(targetDb[key]).length;
+
+    // Optional files written next to midi.json, keyed by path relative to the output directory
+    const sidecars = {};
+
+    return { pretty, minified, compressed, versionInfo, sidecars };
+}
+
+// Directory the split output mode writes per-device files to
+const deviceDirectory = 'devices';
+
+// Directory the merge reports (lint, conflicts, rejected, ...) are written to;
+// they are for maintainers and not published with the database
+const reportDirectory = 'reports';
+
+// Function to render one file per device plus an index.json listing them,
+// keyed by path relative to the device directory
+function renderDeviceFiles(finalDb) {
+    const files = {};
+    const devices = [];
+
+    Object.entries(finalDb).forEach(([brandName, brandDevices]) => {
+        if (reservedKeys.includes(brandName)) return;
+
+        Object.entries(brandDevices).forEach(([deviceName, device]) => {
+            const file = `${device.id}.json`;
+            files[file] = JSON.stringify(device);
+            devices.push({
+                id: device.id,
+                brand: brandName,
+                device_name: deviceName,
+                file,
+                parameters: {
+                    cc: (device.cc || []).length,
+                    nrpn: (device.nrpn || []).length,
+                    pc: device.pc ? device.pc.ranges.length + device.pc.presets.length : 0
+                }
+            });
+        });
     });
 
-    Object.keys(sourceDb).forEach(key => {
-        sourceBrandCount++;
-        sourceDeviceCount += Object.keys(sourceDb[key]).length;
+    files['index.json'] = JSON.stringify({
+        version: finalDb.version || "unknown",
+        generatedAt: finalDb.generatedAt || "",
+        devices
     });
+    return files;
+}
+
+// Function to write midi.json, midi.min.json, midi.min.json.gz and the version file
+function writeOutputs(outputs, outputDir) {
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const outputPaths = {
+        pretty: path.join(outputDir, 'midi.json'),
+        minified: path.join(outputDir, 'midi.min.json'),
+        compressed: path.join(outputDir, 'midi.min.json.gz'),
+        version: path.join(outputDir, 'midi-database-version.json')
+    };
+
+    fs.writeFileSync(outputPaths.pretty, outputs.pretty);
+    fs.writeFileSync(outputPaths.minified, outputs.minified);
+    fs.writeFileSync(outputPaths.compressed, outputs.compressed);
+    fs.writeFileSync(outputPaths.version, JSON.stringify(outputs.versionInfo, null, 2));
+
+    Object.entries(outputs.sidecars || {}).forEach(([fileName, content]) => {
+        outputPaths[fileName] = path.join(outputDir, fileName);
+        fs.mkdirSync(path.dirname(outputPaths[fileName]), { recursive: true });
+        fs.writeFileSync(outputPaths[fileName], content);
+    });
+
+    // Per-device files replace the previous set, so removed devices don't linger
+    if (outputs.deviceFiles) {
+        const devicePath = path.join(outputDir, deviceDirectory);
+        fs.rmSync(devicePath, { recursive: true, force: true });
+        Object.entries(outputs.deviceFiles).forEach(([fileName, content]) => {
+            const filePath = path.join(devicePath, fileName);
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, content);
+        });
+        outputPaths.devices = devicePath;
+    }
+
+    return outputPaths;
+}
+
+// Function to print the merge statistics to the console
+function printStatistics(sources, versionInfo, details = {}) {
+    const { conflicts, rejected, droppedFields, unmapped, overrides, tags, lintReport, changes } = details;
+    const { brands, devices, parameters } = versionInfo.databaseStats;
+    const { sizes } = versionInfo;
+
+    let inputBrands = 0;
+    let inputDevices = 0;
 
     console.log(`\nMerge Results:`);
-    console.log(`- Target Database: ${targetBrandCount} brands, ${targetDeviceCount} devices`);
-    console.log(`- Source Database: ${sourceBrandCount} brands, ${sourceDeviceCount} devices`);
-    console.log(`- Final Database: ${brandCount} brands, ${deviceCount} devices`);
-    console.log(`- Removed duplicates: ${(targetBrandCount + sourceBrandCount) - brandCount} brands, ${(targetDeviceCount + sourceDeviceCount) - deviceCount} devices`);
+    console.log(`- Database version: ${versionInfo.version} (${versionInfo.versionBump})`);
+    sources.forEach(source => {
+        const counts = countDatabase(source.brands);
+        inputBrands += counts.brands;
+        inputDevices += counts.devices;
+        console.log(`- ${source.name} (priority ${source.priority}): ${counts.brands} brands, ${counts.devices} devices`);
+    });
+    console.log(`- Final Database: ${brands} brands, ${devices} devices`);
+    console.log(`- Removed duplicates: ${inputBrands - brands} brands, ${inputDevices - devices} devices`);
+    if (conflicts) {
+        console.log(`- Parameter conflicts: ${conflicts.length} (see ${reportDirectory}/midi-conflicts.json)`);
+    }
+    if (rejected) {
+        console.log(`- Rejected parameters: ${rejected.length} (see ${reportDirectory}/midi-rejected.json)`);
+    }
+    if (unmapped) {
+        console.log(`- Keys missing from mapping.json: ${unmapped.brands.length} brands, ${unmapped.devices.length} devices, ${unmapped.folded.length} matched loosely (see ${reportDirectory}/midi-unmapped.json)`);
+    }
+    if (overrides) {
+        const summary = summarizeOverrides(overrides);
+        console.log(`- Overrides: ${summary.applied} applied, ${summary.stale} stale, ${summary.missing} missing (see ${reportDirectory}/midi-overrides.json)`);
+
+        // Stale and missing patches should be removed or updated
+        overrides.filter(entry => entry.status !== 'applied').forEach(entry => {
+            console.log(`  - ${entry.file}: ${entry.action} ${entry.target} is ${entry.status}`);
+        });
+    }
+    if (droppedFields) {
+        const dropped = Object.entries(droppedFields);
+        console.log(`- Dropped unknown fields: ${dropped.length === 0 ? 'none' : dropped.map(([field, count]) => `${field} (${count})`).join(', ')}`);
+    }
+
+    if (changes !== undefined) {
+        console.log(`\nChanges Since Previous Build (see midi-changelog.md):`);
+        if (changes) {
+            const { brands: brandChanges, devices: deviceChanges, parameters: parameterChanges } = changes.summary;
+            console.log(`- Brands: ${brandChanges.added} added, ${brandChanges.removed} removed`);
+            console.log(`- Devices: ${deviceChanges.added} added, ${deviceChanges.removed} removed, ${deviceChanges.changed} changed`);
+            console.log(`- Parameters: ${parameterChanges.added} added, ${parameterChanges.removed} removed, ${parameterChanges.changed} changed`);
+        } else {
+            console.log('- No previous build found');
+        }
+    }
 
     console.log(`\nFile Sizes:`);
-    console.log(`- Pretty JSON: ${prettySize} KB`);
-    console.log(`- Minified JSON: ${minSize} KB`);
-    console.log(`- GZipped JSON: ${gzipSize} KB`);
-    console.log(`- Compression ratio: ${(gzipSize / prettySize * 100).toFixed(1)}%`);
+    console.log(`- Pretty JSON: ${sizes.prettyJson}`);
+    console.log(`- Minified JSON: ${sizes.minifiedJson}`);
+    console.log(`- GZipped JSON: ${sizes.gzippedJson}`);
+    console.log(`- Compression ratio: ${sizes.compressionRatio}`);
 
     console.log(`\nDatabase Statistics:`);
-    console.log(`- Brands: ${brandCount}`);
-    console.log(`- Devices: ${deviceCount}`);
-    console.log(`- CC Parameters: ${ccCount}`);
-    console.log(`- NRPN Parameters: ${nrpnCount}`);
-    console.log(`- PC Parameters: ${pcCount}`);
-    console.log(`- Total Parameters: ${ccCount + nrpnCount + pcCount}`);
-
-} catch (error) {
-    console.error('Error processing database:', error);
-}
\ No newline at end of file
+    console.log(`- Brands: ${brands}`);
+    console.log(`- Devices: ${devices}`);
+    console.log(`- CC Parameters: ${parameters.cc}`);
+    console.log(`- NRPN Parameters: ${parameters.nrpn}`);
+    console.log(`- PC Parameters: ${parameters.pc}`);
+    console.log(`- Total Parameters: ${parameters.total}`);
+
+    if (tags) {
+        console.log(`\nParameter Tags (untagged listed in ${reportDirectory}/midi-untagged.json):`);
+        Object.entries(tags.counts).forEach(([tag, count]) => {
+            console.log(`- ${tag}: ${count}`);
+        });
+    }
+
+    if (lintReport) {
+        console.log(`\nLint Warnings (see ${reportDirectory}/midi-lint.txt):`);
+        console.log(`- Total: ${lintReport.total}`);
+        Object.entries(lintReport.counts).forEach(([category, count]) => {
+            console.log(`- ${category}: ${count}`);
+        });
+    }
+}
+
+// Function to read the previous build to compare against: an explicit path,
+// else midi.json or midi.min.json.gz in the output directory, plus the
+// midi-database-version.json next to it
+function readPreviousBuild(outputDir, previousPath) {
+    const candidates = previousPath
+        ? [previousPath]
+        : [path.join(outputDir, 'midi.json'), path.join(outputDir, 'midi.min.json.gz')];
+    const found = candidates.find(candidate => fs.existsSync(candidate));
+    if (!found && previousPath) {
+        throw new Error(`Previous database not found: ${previousPath}`);
+    }
+
+    const versionPath = path.join(found ? path.dirname(found) : outputDir, 'midi-database-version.json');
+    return {
+        file: found || null,
+        db: found ? readDatabase(found) : null,
+        versionInfo: fs.existsSync(versionPath) ? JSON.parse(fs.readFileSync(versionPath, 'utf8')) : null
+    };
+}
+
+// Function to run the whole pipeline: read inputs, merge, write outputs
+function runMerge(options = {}) {
+    const outputDir = options.outputDir || __dirname;
+
+    // Load mappings from mapping.json
+    const mappingPath = options.mappingPath || path.join(__dirname, 'mapping.json');
+    const mappings = loadMappings(mappingPath);
+
+    console.log('Reading source files...');
+    const definitions = options.sources || loadSourcesManifest(options.sourcesPath, options.inputPaths);
+    const sources = definitions.map(readSource);
+    const overrides = loadOverrides(options.overridesPath || defaultOverridesDirectory);
+    console.log(`Loaded ${overrides.length} override file(s)`);
+
+    console.log('Combining and normalizing devices...');
+    const { finalDb: mergedDb, provenance, conflicts, rejected, droppedFields, unmapped, overrides: overrideReport, tags } = buildDatabase(sources, mappings, { provenance: options.provenance, overrides });
+
+    // Never write a database that doesn't match the schema
+    console.log('Validating merged database...');
+    const validationErrors = validateDatabase(mergedDb);
+    if (validationErrors.length > 0) {
+        validationErrors.forEach(error => console.error(`- ${error.path}: ${error.message}`));
+        throw new Error(`Merged database failed schema validation with ${validationErrors.length} error(s)`);
+    }
+
+    const lintReport = lintDatabase(mergedDb);
+
+    // The upstream version and generatedAt are not content: an upstream refresh
+    // that only changes them must not give a new release
+    const content = Object.fromEntries(Object.entries(mergedDb).filter(([key]) => !reservedKeys.includes(key)));
+    const contentHash = sha256(JSON.stringify(content));
+
+    // Compare with the build we are about to replace and version the result
+    const previous = readPreviousBuild(outputDir, options.previousPath);
+    const changes = previous.db ? diffDatabases(previous.db, content) : null;
+    const release = nextVersion(previous.versionInfo, {
+        schemaVersion: loadSchema().schemaVersion,
+        changes,
+        contentHash
+    });
+    release.contentHash = contentHash;
+
+    // generatedAt is the time of the build that changed the content; an unchanged
+    // database keeps the previous build's timestamp, so reruns write the same files
+    release.generatedAt = release.bump === 'none' && previous.versionInfo?.generatedAt
+        ? previous.versionInfo.generatedAt
+        : options.generatedAt || new Date().toISOString();
+    const finalDb = { version: release.version, generatedAt: release.generatedAt, ...content };
+
+    const outputs = renderOutputs(finalDb, sources, release);
+    outputs.versionInfo.hashes.inputs[path.basename(mappingPath)] = sha256(fs.readFileSync(mappingPath));
+    overrides.forEach(override => {
+        outputs.versionInfo.hashes.inputs[override.file] = override.sha256;
+    });
+    outputs.versionInfo.changes = changes
+        ? { previousFile: path.basename(previous.file), ...changes.summary }
+        : null;
+    outputs.sidecars['midi-changes.json'] = JSON.stringify(changes, null, 2);
+    outputs.sidecars['midi-changelog.md'] = formatChangelog(changes, `${release.version} - ${outputs.versionInfo.generatedAt.slice(0, 10)}`);
+    outputs.sidecars[`${reportDirectory}/midi-lint.json`] = JSON.stringify(lintReport, null, 2);
+    outputs.sidecars[`${reportDirectory}/midi-lint.txt`] = formatLintSummary(lintReport) + '\n';
+    outputs.sidecars[`${reportDirectory}/midi-conflicts.json`] = JSON.stringify(conflicts, null, 2);
+    outputs.sidecars[`${reportDirectory}/midi-rejected.json`] = JSON.stringify(rejected, null, 2);
+    outputs.sidecars[`${reportDirectory}/midi-unmapped.json`] = JSON.stringify(unmapped, null, 2);
+    outputs.sidecars[`${reportDirectory}/midi-overrides.json`] = JSON.stringify(overrideReport, null, 2);
+    outputs.sidecars[`${reportDirectory}/midi-untagged.json`] = JSON.stringify(tags, null, 2);
+
+    if (options.provenance === 'sidecar') {
+        outputs.sidecars[`${reportDirectory}/midi-provenance.json`] = JSON.stringify(provenance, null, 2);
+    }
+    if (options.split) {
+        outputs.deviceFiles = renderDeviceFiles(finalDb);
+    }
+    Object.entries(outputs.sidecars).forEach(([fileName, fileContent]) => {
+        outputs.versionInfo.hashes.outputs[fileName] = sha256(fileContent);
+    });
+    Object.entries(outputs.deviceFiles || {}).forEach(([fileName, fileContent]) => {
+        outputs.versionInfo.hashes.outputs[`${deviceDirectory}/${fileName}`] = sha256(fileContent);
+    });
+
+    if (options.dryRun) {
+        console.log('Dry run - no files written');
+    } else {
+        console.log('Writing final database...');
+        const outputPaths = writeOutputs(outputs, outputDir);
+        console.log(`Version information written to ${outputPaths.version}`);
+        if (outputPaths.devices) {
+            console.log(`Per-device files written to ${outputPaths.devices}`);
+        }
+    }
+
+    printStatistics(sources, outputs.versionInfo, { conflicts, rejected, droppedFields, unmapped, overrides: overrideReport, tags, lintReport, changes });
+
+    return { finalDb, provenance, conflicts, rejected, droppedFields, unmapped, overrides: overrideReport, tags, lintReport, changes, versionInfo: outputs.versionInfo };
+}
+
+module.exports = {
+    reservedKeys,
+    findLatestDatabase,
+    loadMappings,
+    normalizeAndMapKey,
+    getModelDisplayName,
+    mergeDevices,
+    mergeDeviceData,
+    mergeDevicesWithProvenance,
+    describeSources,
+    foldAliases,
+    findUnknownFields,
+    createStandardDevice,
+    rejectUnaddressable,
+    ingestSource,
+    buildDatabase,
+    applyOverrides,
+    countDatabase,
+    sortDatabase,
+    renderOutputs,
+    renderDeviceFiles,
+    writeOutputs,
+    runMerge
+};
+
+if (require.main === module) {
+    try {
+        runMerge();
+    } catch (error) {
+        console.error('Error processing database:', error);
+        process.exitCode = 1;
+    }
+}
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffDatabases, formatChangelog } = require('../lib/diff');
+
+// Function to build a merged device with the fields the diff looks at
+function device(id, cc = [], fields = {}) {
+    return { id, cc, nrpn: [], ...fields };
+}
+
+const previousDb = {
+    version: '1.0.0',
+    generatedAt: '2025-01-01T00:00:00.000Z',
+    'Chase Bliss': {
+        Mood: device('chasebliss/mood', [{ value: 14, name: 'Time', min: 0, max: 127 }, { value: 15, name: 'Mix', min: 0, max: 127 }]),
+        Tonal: device('chasebliss/tonal')
+    },
+    Roland: {
+        'SE-02': device('roland/se02', [{ value: 74, name: 'Cutoff', min: 0, max: 127 }])
+    }
+};
+
+const nextDb = {
+    version: '1.1.0',
+    generatedAt: '2025-02-01T00:00:00.000Z',
+    'Chase Bliss': {
+        'Mood MKII': device('chasebliss/mood', [{ value: 14, name: 'Time', min: 0, max: 100 }, { value: 16, name: 'Clock', min: 0, max: 127 }])
+    },
+    Strymon: {
+        TimeLine: device('strymon/timeline')
+    },
+    Roland: {
+        'SE-02': device('roland/se02', [{ value: 74, name: 'Cutoff', min: 0, max: 127 }])
+    }
+};
+
+test('devices are matched by id and their parameter changes are listed', () => {
+    const diff = diffDatabases(previousDb, nextDb);
+    assert.deepStrictEqual(diff.summary, {
+        brands: { added: 1, removed: 0 },
+        devices: { added: 1, removed: 1, changed: 1 },
+        parameters: { added: 1, removed: 1, changed: 1 }
+    });
+    assert.deepStrictEqual(diff.brands, { added: ['Strymon'], removed: [] });
+    assert.deepStrictEqual(diff.devices.added, [{ id: 'strymon/timeline', brand: 'Strymon', device: 'TimeLine' }]);
+    assert.deepStrictEqual(diff.devices.removed, [{ id: 'chasebliss/tonal', brand: 'Chase Bliss', device: 'Tonal' }]);
+    assert.deepStrictEqual(diff.devices.changed, [{
+        id: 'chasebliss/mood',
+        brand: 'Chase Bliss',
+        device: 'Mood MKII',
+        cc: {
+            added: [{ key: '16', name: 'Clock' }],
+            removed: [{ key: '15', name: 'Mix' }],
+            changed: [{ key: '14', fields: ['max'], before: { max: 127 }, after: { max: 100 } }]
+        },
+        renamed: { brand: 'Chase Bliss', device: 'Mood' }
+    }]);
+});
+
+test('builds without ids are matched by brand and device name', () => {
+    const withoutIds = { Roland: { 'SE-02': { cc: [{ value: 74, name: 'Cutoff', min: 0, max: 127 }] } } };
+    const diff = diffDatabases(withoutIds, { Roland: nextDb.Roland });
+    assert.deepStrictEqual(diff.summary.devices, { added: 0, removed: 0, changed: 0 });
+});
+
+test('the changelog sums up the diff as Markdown', () => {
+    assert.strictEqual(formatChangelog(diffDatabases(previousDb, nextDb), '1.1.0 - 2025-02-01'), [
+        '## 1.1.0 - 2025-02-01',
+        '',
+        '- Brands: 1 added, 0 removed',
+        '- Devices: 1 added, 1 removed, 1 changed',
+        '- Parameters: 1 added, 1 removed, 1 changed',
+        '',
+        '### Added brands',
+        '',
+        '- Strymon',
+        '',
+        '### Added devices',
+        '',
+        '- Strymon TimeLine',
+        '',
+        '### Removed devices',
+        '',
+        '- Chase Bliss Tonal',
+        '',
+        '### Changed devices',
+        '',
+        '- Chase Bliss Mood MKII: CC +1 -1 ~1, renamed from Chase Bliss Mood',
+        ''
+    ].join('\n'));
+    assert.strictEqual(formatChangelog(null, '1.0.0 - 2025-01-01'), '## 1.0.0 - 2025-01-01\n\nFirst build - no previous database to compare with.\n');
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { exportDevices } = require('../lib/export');
+
+// A device with grouped CCs, a shared CC number, an NRPN and named presets
+const mood = {
+    id: 'chasebliss/mood',
+    brand: 'Chase Bliss',
+    device_name: 'Mood',
+    midi_channel: { instructions: '', default_channel: 2 },
+    cc: [
+        { value: 14, name: 'Time', min: 0, max: 127, type: 'Knob', description: 'Wet channel time' },
+        { value: 28, name: 'Bypass [A]', min: 0, max: 0, type: 'Switch', description: '' },
+        { value: 28, name: 'Engage A', min: 127, max: 127, type: 'Switch', description: 'Turns "A" on, or off' }
+    ],
+    nrpn: [{ msb: 1, lsb: 14, name: 'Fine Time', min: 0, max: 16383, type: 'Parameter', description: '' }],
+    pc: { presets: [{ program: 0, name: 'Bypass' }, { program: 1, name: 'Preset 1' }] }
+};
+
+test('instrument definitions list controllers, NRPNs and patches with their ranges', () => {
+    assert.strictEqual(exportDevices([mood], 'ins'), [
+        '; MIDI instrument definitions exported from Midi-Device-Database',
+        '',
+        '.Patch Names',
+        '',
+        '[Chase Bliss Mood]',
+        '0=Bypass',
+        '1=Preset 1',
+        '',
+        '.Controller Names',
+        '',
+        '[Chase Bliss Mood]',
+        '; Knob',
+        '; range 0-127',
+        '14=Time',
+        '; Switch',
+        '; range 0-0 / 127-127',
+        '28=Bypass A / Engage A',
+        '',
+        '.NRPN Names',
+        '',
+        '[Chase Bliss Mood]',
+        '; Parameter',
+        '; MSB 1 LSB 14, range 0-16383',
+        '142=Fine Time',
+        '',
+        '.Instrument Definitions',
+        '',
+        '[Chase Bliss Mood]',
+        'Control=Chase Bliss Mood',
+        'NRPN=Chase Bliss Mood',
+        'Patch[*]=Chase Bliss Mood',
+        ''
+    ].join('\r\n'));
+});
+
+test('the CSV has one quoted-as-needed row per parameter', () => {
+    assert.strictEqual(exportDevices([mood], 'csv'), [
+        'brand,device,id,type,kind,cc,nrpn_msb,nrpn_lsb,name,min,max,description',
+        'Chase Bliss,Mood,chasebliss/mood,Knob,cc,14,,,Time,0,127,Wet channel time',
+        'Chase Bliss,Mood,chasebliss/mood,Switch,cc,28,,,Bypass [A],0,0,',
+        'Chase Bliss,Mood,chasebliss/mood,Switch,cc,28,,,Engage A,127,127,"Turns ""A"" on, or off"',
+        'Chase Bliss,Mood,chasebliss/mood,Parameter,nrpn,,1,14,Fine Time,0,16383,',
+        ''
+    ].join('\r\n'));
+});
+
+test('a controller preset groups controls by type; several devices give a list', () => {
+    const preset = JSON.parse(exportDevices([mood], 'preset'));
+    assert.deepStrictEqual(preset.device, { id: 'chasebliss/mood', brand: 'Chase Bliss', name: 'Mood' });
+    assert.strictEqual(preset.midi_channel, 2);
+    assert.deepStrictEqual(preset.groups.map(group => `${group.name}: ${group.controls.length}`), ['Knob: 1', 'Switch: 2', 'Parameter: 1']);
+    assert.deepStrictEqual(preset.groups[2].controls, [{ name: 'Fine Time', message: 'nrpn', msb: 1, lsb: 14, min: 0, max: 16383 }]);
+    assert.deepStrictEqual(preset.programs, [{ program: 0, name: 'Bypass' }, { program: 1, name: 'Preset 1' }]);
+
+    const presets = JSON.parse(exportDevices([mood, { ...mood, id: 'chasebliss/mood-2' }], 'preset'));
+    assert.strictEqual(presets.length, 2);
+});
+
+test('an unknown format is an error', () => {
+    assert.throws(() => exportDevices([mood], 'syx'), /Unknown export format "syx" \(expected ins, csv, preset\)/);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readDeviceFile, importDevices } = require('../lib/import');
+
+// Function to write a device file to a temporary directory and pass its path to callback
+function withDeviceFile(fileName, content, callback) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'midi-import-'));
+    try {
+        const filePath = path.join(directory, fileName);
+        fs.writeFileSync(filePath, content);
+        return callback(filePath, directory);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+test('spreadsheet number columns are read as whole numbers', () => {
+    withDeviceFile('mood.csv', 'cc,name,min,max\n14, Time ,0,127\n', filePath => {
+        const [device] = readDeviceFile(filePath, { brand: 'Chase Bliss', device: 'Mood' });
+        assert.deepStrictEqual(device.data.cc, [{ value: 14, name: 'Time', min: 0, max: 127 }]);
+    });
+});
+
+test('spreadsheet numbers that are not whole numbers are a row error', () => {
+    [['0x4A', 'cc "0x4A"'], ['71.5', 'cc "71.5"'], ['12abc', 'cc "12abc"'], ['-1', 'cc "-1"']].forEach(([value, message]) => {
+        withDeviceFile('mood.csv', `cc,name\n1,Ok\n${value},Time\n`, filePath => {
+            assert.throws(() => readDeviceFile(filePath, { brand: 'Chase Bliss', device: 'Mood' }), {
+                message: `Row 3: ${message} is not a whole number`
+            });
+        });
+    });
+    withDeviceFile('mood.tsv', 'nrpn_msb\tnrpn_lsb\tname\tmax\n1\t2\tFine\t16383.0\n', filePath => {
+        assert.throws(() => readDeviceFile(filePath, { brand: 'Chase Bliss', device: 'Mood' }), /Row 2: max "16383.0" is not a whole number/);
+    });
+});
+
+test('YAML and JSON devices with malformed numbers are not imported', () => {
+    const device = { brand: 'Chase Bliss', device_name: 'Mood', cc: [{ name: 'Time', value: '12abc' }, { name: 'Mix', value: '0x4A', max: '127 max' }] };
+    withDeviceFile('mood.json', JSON.stringify(device), (filePath, directory) => {
+        const error = console.error;
+        const problems = [];
+        console.error = message => problems.push(message);
+        try {
+            assert.throws(() => importDevices(readDeviceFile(filePath), {
+                mappingPath: path.join(__dirname, 'fixtures', 'mapping.json'),
+                overlayPath: path.join(directory, 'devices.json'),
+                dryRun: true
+            }), /Import failed with 3 problem\(s\)/);
+        } finally {
+            console.error = error;
+        }
+        assert.deepStrictEqual(problems, [
+            '- Chase Bliss Mood: cc "Time" value "12abc" is not a whole number',
+            '- Chase Bliss Mood: cc "Mix" value "0x4A" is not a whole number',
+            '- Chase Bliss Mood: cc "Mix" max "127 max" is not a whole number'
+        ]);
+    });
+});
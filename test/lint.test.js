@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { lintDatabase } = require('../lib/lint');
+
+test('generic names and template descriptions are reported', () => {
+    const report = lintDatabase({
+        version: '1.0.0',
+        Strymon: {
+            TimeLine: {
+                cc: [
+                    { value: 3, name: 'Parameter 3', description: 'Description of function' },
+                    { value: 4, name: 'Time', description: 'Delay time' }
+                ],
+                nrpn: []
+            }
+        }
+    });
+    assert.deepStrictEqual(report.counts, { 'placeholder-name': 1, 'boilerplate-description': 1 });
+    assert.deepStrictEqual(report.warnings.map(warning => warning.path), ['Strymon/TimeLine/cc[0].name', 'Strymon/TimeLine/cc[0].description']);
+});
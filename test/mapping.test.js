@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readMappingFile, checkMapping, changeMapping, affectedDevices } = require('../lib/mapping');
+
+const fixturesDirectory = path.join(__dirname, 'fixtures');
+const cliPath = path.join(__dirname, '..', 'cli.js');
+
+// Function to read a fresh copy of the fixture mapping.json
+function fixtureMapping() {
+    return readMappingFile(path.join(fixturesDirectory, 'mapping.json'));
+}
+
+// Function to find a brand of a mapping by value
+function brandOf(mapping, value) {
+    return mapping.brands.find(brand => brand.value === value);
+}
+
+test('the fixture mapping has no problems, duplicates and colliding IDs do', () => {
+    assert.deepStrictEqual(checkMapping(fixtureMapping()), []);
+    assert.deepStrictEqual(checkMapping({ brands: [{ name: 'Strymon', value: 'strymon' }, { name: 'Strymon Engineering', value: 'Strymon' }] }), [
+        'brands strymon, Strymon would all get IDs starting with strymon/',
+        'key "strymon_engineering" matches brands strymon, Strymon',
+        'key "strymonengineering" matches brands strymon, Strymon'
+    ]);
+    assert.deepStrictEqual(checkMapping({}), ['mapping.json needs a "brands" list']);
+});
+
+test('adding a brand and a model derives the value from the name', () => {
+    const mapping = fixtureMapping();
+    assert.strictEqual(changeMapping(mapping, 'add-brand', ['Walrus Audio']).summary, 'Added brand Walrus Audio (walrusaudio)');
+    assert.strictEqual(changeMapping(mapping, 'add-model', ['walrus-audio', 'Slö']).summary, 'Added model Walrus Audio Slö (slo)');
+    assert.deepStrictEqual(brandOf(mapping, 'walrusaudio').models, [{ name: 'Slö', value: 'slo' }]);
+    assert.throws(() => changeMapping(mapping, 'add-brand', ['Chase-Bliss']), /already has a brand matching "Chase-Bliss"/);
+});
+
+test('renaming a value keeps the old one as an alias and reports the new ID', () => {
+    const mapping = fixtureMapping();
+    const result = changeMapping(mapping, 'rename-model', ['chase bliss', 'Preamp MKII'], { name: 'Preamp MK2', value: 'preampmk2' });
+    assert.strictEqual(result.summary, 'Renamed model chasebliss/preampmkii to Preamp MK2 (preampmk2)');
+    assert.deepStrictEqual(result.affects, [{ brand: 'chasebliss', model: 'preampmkii', change: 'ID becomes chasebliss/preampmk2' }]);
+    assert.deepStrictEqual(brandOf(mapping, 'chasebliss').models[1], { name: 'Preamp MK2', value: 'preampmk2', aliases: ['preampmkii'] });
+
+    const renamed = changeMapping(mapping, 'rename-brand', ['strymon'], { name: 'Strymon Engineering' });
+    assert.deepStrictEqual(renamed.affects, [{ brand: 'strymon', model: null, change: 'brand shown as Strymon Engineering' }]);
+    assert.throws(() => changeMapping(mapping, 'rename-brand', ['strymon'], {}), /needs --name and\/or --value/);
+});
+
+test('merging moves models and spellings and refuses changes that add problems', () => {
+    const mapping = fixtureMapping();
+    changeMapping(mapping, 'merge-brands', ['oberheim', 'sequential']);
+    assert.strictEqual(brandOf(mapping, 'oberheim'), undefined);
+    assert.deepStrictEqual(brandOf(mapping, 'sequential'), { name: 'Sequential', value: 'sequential', aliases: ['oberheim'], models: [{ name: 'OB-6', value: 'ob6' }] });
+
+    changeMapping(mapping, 'merge-models', ['chasebliss', 'Preamp MKII', 'mood']);
+    assert.deepStrictEqual(brandOf(mapping, 'chasebliss').models, [{ name: 'Mood', value: 'mood', aliases: ['preamp mkii', 'preampmkii'] }]);
+
+    assert.throws(() => changeMapping(mapping, 'rename-brand', ['strymon'], { value: 'Sequential' }), /already has a brand with value Sequential/);
+    assert.throws(() => changeMapping(mapping, 'rename-brand', ['strymon'], { name: 'Sequential' }), /rename-brand would break mapping\.json:\n- key "sequential" matches brands sequential, strymon/);
+    assert.throws(() => changeMapping(mapping, 'split-brand', []), /Unknown mapping command "split-brand"/);
+});
+
+test('a change lists the merged devices whose IDs it touches', () => {
+    const devices = [{ id: 'chasebliss/mood' }, { id: 'chasebliss/mood-digitakt-ii' }, { id: 'chasebliss/moodii' }, { id: 'strymon/timeline' }];
+    const affects = [{ brand: 'chasebliss', model: 'mood', change: 'x' }, { brand: 'strymon', model: null, change: 'y' }];
+    assert.deepStrictEqual(affectedDevices(devices, affects).map(affect => affect.devices.map(device => device.id)), [
+        ['chasebliss/mood', 'chasebliss/mood-digitakt-ii'],
+        ['strymon/timeline']
+    ]);
+});
+
+test('the mapping command writes the change and lists the affected devices', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'midi-mapping-'));
+    try {
+        const mappingPath = path.join(directory, 'mapping.json');
+        fs.copyFileSync(path.join(fixturesDirectory, 'mapping.json'), mappingPath);
+        const run = (...args) => childProcess.spawnSync(process.execPath, [cliPath, 'mapping', ...args, '--mapping', mappingPath, '--db', path.join(fixturesDirectory, 'expected', 'midi.json')], { encoding: 'utf8' });
+
+        const check = run('check');
+        assert.strictEqual(check.status, 0);
+        assert.strictEqual(check.stdout, 'mapping.json is consistent: 4 brands, 5 models\n');
+
+        const rename = run('rename-model', 'strymon', 'timeline', '--value', 'timelinemk1');
+        assert.strictEqual(rename.status, 0);
+        assert.match(rename.stdout, /strymon\/timeline: ID becomes strymon\/timelinemk1\n {2}- strymon\/timeline \(Strymon TimeLine\)\nUpdated mapping\.json/);
+        assert.deepStrictEqual(brandOf(readMappingFile(mappingPath), 'strymon').models, [{ name: 'TimeLine', value: 'timelinemk1', aliases: ['timeline'] }]);
+
+        const dryRun = run('add-brand', 'Walrus Audio', '--dry-run');
+        assert.match(dryRun.stdout, /Dry run - mapping\.json not changed/);
+        assert.strictEqual(brandOf(readMappingFile(mappingPath), 'walrusaudio'), undefined);
+
+        const failed = run('rename-model', 'strymon', 'bigsky', '--name', 'BigSky');
+        assert.strictEqual(failed.status, 1);
+        assert.strictEqual(failed.stderr, 'Error running mapping: Brand strymon has no model "bigsky"\n');
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
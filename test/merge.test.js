@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadMappings, normalizeAndMapKey, createStandardDevice, rejectUnaddressable, mergeDevices, buildDatabase } = require('../merge');
+const { adaptSource } = require('../lib/sources');
+
+const fixturesDirectory = path.join(__dirname, 'fixtures');
+
+// Function to load the fixture mapping.json without printing the variation counts
+function loadFixtureMappings() {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return loadMappings(path.join(fixturesDirectory, 'mapping.json'));
+    } finally {
+        console.log = log;
+    }
+}
+
+const { manufacturerMapping, deviceMapping, brandDisplayNames } = loadFixtureMappings();
+
+test('a mapping.json that cannot be read or has problems stops the merge', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'midi-mapping-'));
+    const error = console.error;
+    console.error = () => {};
+    try {
+        const mappingPath = path.join(directory, 'mapping.json');
+        fs.writeFileSync(mappingPath, '{ "brands": [');
+        assert.throws(() => loadMappings(mappingPath), /Cannot load mapping\.json/);
+        assert.throws(() => loadMappings(path.join(directory, 'missing.json')), /Cannot load missing\.json: ENOENT/);
+
+        fs.writeFileSync(mappingPath, JSON.stringify({ brands: [{ name: 'Strymon', value: 'strymon' }, { name: 'Strymon Engineering', value: 'strymon' }] }));
+        assert.throws(() => loadMappings(mappingPath), /mapping\.json has 1 problem\(s\)/);
+    } finally {
+        console.error = error;
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('brand keys with upstream suffixes map to the brand', () => {
+    ['strymon', 'Strymon', 'strymon_engineering', 'strymonengineering'].forEach(key => {
+        const result = normalizeAndMapKey(key, manufacturerMapping, brandDisplayNames);
+        assert.strictEqual(result.normalized, 'strymon', key);
+        assert.strictEqual(result.canonical, 'Strymon', key);
+    });
+    assert.strictEqual(normalizeAndMapKey('chase_bliss', manufacturerMapping).match, 'exact');
+    assert.strictEqual(normalizeAndMapKey('Bliss, Chase', manufacturerMapping).match, 'folded');
+});
+
+test('unmapped keys are reduced to letters and digits', () => {
+    assert.deepStrictEqual(normalizeAndMapKey('1010_music', manufacturerMapping, brandDisplayNames), {
+        normalized: '1010music',
+        canonical: '1010_music',
+        match: null
+    });
+});
+
+test('mk2, mkii and the display name all find the same model', () => {
+    ['preampmkii', 'preampmk2', 'preamp_mkii', 'Preamp MKII'].forEach(key => {
+        assert.strictEqual(normalizeAndMapKey(key, deviceMapping.chasebliss).normalized, 'preampmkii', key);
+    });
+});
+
+test('model keys are looked up only within their own brand', () => {
+    assert.strictEqual(normalizeAndMapKey('ob-6', deviceMapping.oberheim).normalized, 'ob6');
+    assert.strictEqual(normalizeAndMapKey('ob-6', deviceMapping.sequential).normalized, 'ob6');
+    assert.strictEqual(normalizeAndMapKey('mood', deviceMapping.oberheim).match, null);
+});
+
+test('reserved metadata keys are not read as brands', () => {
+    const db = JSON.parse(fs.readFileSync(path.join(fixturesDirectory, 'midi-database-v10.json'), 'utf8'));
+    const source = adaptSource({ name: 'MidiDeviceDefinitions', format: 'midi-device-definitions', priority: 2 }, db);
+    assert.deepStrictEqual(source.metadata, { version: 10, generatedAt: '2025-01-01T00:00:00.000Z' });
+    assert.deepStrictEqual(Object.keys(source.brands), ['chase_bliss', 'strymon_engineering', 'sequential', '1010_music']);
+});
+
+test('string-typed CC values become integers', () => {
+    const device = createStandardDevice({
+        cc: [{ value: '14', min: 0, max: '127', name: 'Bass' }, { value: '', name: 'Tap' }]
+    }, 'Chase Bliss', 'Preamp MKII');
+    assert.deepStrictEqual(device.cc.map(({ value, min, max }) => ({ value, min, max })), [
+        { value: 14, min: 0, max: 127 },
+        { value: undefined, min: 0, max: 127 }
+    ]);
+});
+
+test('number strings with anything but digits are rejected, not read as CC 0', () => {
+    const device = createStandardDevice({
+        cc: [
+            { value: '0=OFF, 127=ON', name: 'Bypass' },
+            { value: '0-24', name: 'Amp Model' },
+            { value: 14, min: '0-127', max: '127', name: 'Time' },
+            { value: ' 15 ', name: 'Mix' }
+        ],
+        nrpn: [{ msb: '1', lsb: '2x', name: 'Fine Time' }]
+    }, 'Line 6', 'M5');
+
+    const rejected = rejectUnaddressable(device);
+    assert.deepStrictEqual(rejected.map(({ kind, field, index }) => `${kind}[${index}].${field}`), [
+        'cc[0].value',
+        'cc[1].value',
+        'cc[2].min',
+        'nrpn[0].lsb'
+    ]);
+    assert.deepStrictEqual(device.cc.map(({ value, min, max }) => ({ value, min, max })), [{ value: 15, min: 0, max: 127 }]);
+});
+
+test('an object-shaped pc is read like a one-entry list', () => {
+    const fromObject = createStandardDevice({ pc: { description: 'PC 0-121 recall presets' } }, 'Chase Bliss', 'Preamp MKII');
+    const fromList = createStandardDevice({ pc: [{ description: 'PC 0-121 recall presets' }] }, 'Chase Bliss', 'Preamp MKII');
+    assert.deepStrictEqual(fromObject.pc, fromList.pc);
+    assert.deepStrictEqual(fromObject.pc.ranges, [{ min: 0, max: 121, description: 'recall presets' }]);
+
+    const empty = createStandardDevice({ pc: { description: null } }, 'Chase Bliss', 'Mood');
+    assert.deepStrictEqual(empty.pc, { description: '', ranges: [], presets: [], bank_select: { msb: false, lsb: false } });
+});
+
+test('upstream field spellings are folded and yes/no values read as booleans', () => {
+    const device = createStandardDevice({ 'midi-thru': 'Yes', midi_clock: 'no', phantom_power: true }, 'Strymon', 'TimeLine');
+    assert.strictEqual(device.midi_thru, true);
+    assert.strictEqual(device.midi_clock, false);
+    assert.strictEqual(device.phantom_power, 'Yes');
+});
+
+test('the higher priority device wins each field and parameter, the other fills the gaps', () => {
+    const high = createStandardDevice({
+        midi_in: 'TRS',
+        cc: [{ value: 14, name: 'Time' }, { value: 15, name: 'Mix' }]
+    }, 'Chase Bliss', 'Mood');
+    const low = createStandardDevice({
+        midi_in: 'DIN',
+        instructions: 'Hold both footswitches to enter MIDI learn',
+        cc: [{ value: 14, name: 'Length' }, { value: 16, name: 'Clock' }]
+    }, 'Chase Bliss', 'Mood');
+
+    const merged = mergeDevices(high, low);
+    assert.strictEqual(merged.midi_in, 'TRS');
+    assert.strictEqual(merged.instructions, 'Hold both footswitches to enter MIDI learn');
+    assert.deepStrictEqual(merged.cc.map(({ value, name }) => `${value} ${name}`), ['14 Time', '15 Mix', '16 Clock']);
+});
+
+test('device IDs stay the same when a model is renamed', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'midi-mapping-'));
+    const log = console.log;
+    console.log = () => {};
+
+    // Function to merge two upstream spellings of one model, one split off by an override
+    const idsAfterRenaming = (modelName, separatedName) => {
+        const mappingPath = path.join(directory, 'mapping.json');
+        fs.writeFileSync(mappingPath, JSON.stringify({
+            brands: [{ name: 'Elektron', value: 'elektron', models: [{ name: modelName, value: 'digitakt', aliases: ['digitakt_ii'] }] }]
+        }));
+        const sources = [
+            adaptSource({ name: 'MidiDeviceDefinitions', format: 'midi-device-definitions', priority: 2 }, { elektron: { digitakt: { cc: [{ name: 'Level', value: 7 }] } } }),
+            adaptSource({ name: 'openmidi', format: 'openmidi', priority: 1 }, { elektron: { digitakt_ii: { cc: [{ name: 'Level', value: 95 }] } } })
+        ];
+        const overrides = [{ file: 'overrides/elektron/digitakt.json', device: 'elektron/digitakt', separate: [{ source: 'openmidi', device: 'digitakt_ii', device_name: separatedName }] }];
+        const { finalDb } = buildDatabase(sources, loadMappings(mappingPath), { overrides });
+        return Object.values(finalDb.Elektron).map(device => `${device.id} ${device.device_name}`);
+    };
+
+    try {
+        assert.deepStrictEqual(idsAfterRenaming('Digitakt', 'Digitakt II'), ['elektron/digitakt Digitakt', 'elektron/digitakt-digitakt-ii Digitakt II']);
+        assert.deepStrictEqual(idsAfterRenaming('Digitakt MK1', 'Digitakt 2'), ['elektron/digitakt Digitakt MK1', 'elektron/digitakt-digitakt-ii Digitakt 2']);
+    } finally {
+        console.log = log;
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadMappings, buildDatabase } = require('../merge');
+const { adaptSource } = require('../lib/sources');
+const { loadOverrides, summarizeOverrides } = require('../lib/overrides');
+
+// Function to merge two small sources with the fixture mapping.json and some patch files
+function mergeWithOverrides(overrides) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        const sources = [
+            adaptSource({ name: 'MidiDeviceDefinitions', format: 'midi-device-definitions', priority: 2 }, {
+                chase_bliss: {
+                    mood: {
+                        cc: [{ value: 14, name: 'Time' }, { value: 15, name: 'Mix' }],
+                        nrpn: [{ msb: 1, lsb: 14, name: 'Fine Time' }]
+                    }
+                },
+                sequential: { 'ob-6': { cc: [{ value: 74, name: 'Cutoff' }] } }
+            }),
+            adaptSource({ name: 'openmidi', format: 'openmidi', priority: 1 }, {
+                chase_bliss: { MOOD: { cc: [{ value: 14, name: 'Length' }] } },
+                oberheim: { 'ob-6': { cc: [{ value: 74, name: 'Filter Cutoff' }, { value: 71, name: 'Resonance' }] } }
+            })
+        ];
+        return buildDatabase(sources, loadMappings(path.join(__dirname, 'fixtures', 'mapping.json')), { overrides });
+    } finally {
+        console.log = log;
+    }
+}
+
+// Function to list the report as "action target status"
+function listReport(report) {
+    return report.map(entry => `${entry.action} ${entry.target} ${entry.status}`);
+}
+
+// Function to list a device's CCs as "number name"
+function listCcs(device) {
+    return device.cc.map(entry => `${entry.value} ${entry.name}`);
+}
+
+test('CC and NRPN patches move, delete and add entries, and already fixed ones are stale', () => {
+    const file = 'overrides/chasebliss/mood.json';
+    const { finalDb, provenance, overrides } = mergeWithOverrides([{
+        file,
+        device: 'chasebliss/mood',
+        cc: { 14: { value: 20 }, 15: null, 16: { name: 'Clock' }, 99: null },
+        nrpn: { '1:14': { name: 'Fine Time' }, '2:0': { min: 0 } }
+    }]);
+
+    assert.deepStrictEqual(listCcs(finalDb['Chase Bliss'].Mood), ['16 Clock', '20 Time']);
+    assert.deepStrictEqual(listReport(overrides), ['cc 14 applied', 'cc 15 applied', 'cc 16 applied', 'cc 99 stale', 'nrpn 1:14 stale', 'nrpn 2:0 stale']);
+    assert.deepStrictEqual(provenance['Chase Bliss'].Mood.parameters.cc, { 16: { source: file }, 20: { source: file } });
+});
+
+test('merge folds other devices into the patched one, which wins like a higher priority source', () => {
+    const { finalDb, overrides } = mergeWithOverrides([{
+        file: 'overrides/sequential/ob6.json',
+        device: 'sequential/ob6',
+        merge: ['oberheim/ob6', 'oberheim/ob8']
+    }]);
+
+    assert.strictEqual(finalDb.Oberheim, undefined);
+    assert.deepStrictEqual(listCcs(finalDb.Sequential['OB-6']), ['71 Resonance', '74 Cutoff']);
+    assert.deepStrictEqual(listReport(overrides), ['merge oberheim/ob6 applied', 'merge oberheim/ob8 stale']);
+});
+
+test('separate splits an upstream variant off into its own device', () => {
+    const { finalDb, overrides } = mergeWithOverrides([{
+        file: 'overrides/chasebliss/mood.json',
+        device: 'chasebliss/mood',
+        separate: [{ source: 'openmidi', device: 'MOOD', device_name: 'Mood MKII' }, { device: 'mood_mk3' }]
+    }, {
+        file: 'overrides/chasebliss/tonal.json',
+        device: 'chasebliss/tonal',
+        separate: [{ device: 'tonal_ii' }]
+    }]);
+
+    assert.deepStrictEqual(Object.values(finalDb['Chase Bliss']).map(device => `${device.id} ${device.device_name}`), [
+        'chasebliss/mood Mood',
+        'chasebliss/mood-mood Mood MKII'
+    ]);
+    assert.deepStrictEqual(listCcs(finalDb['Chase Bliss']['Mood MKII']), ['14 Length']);
+    assert.deepStrictEqual(listReport(overrides), ['separate MOOD applied', 'separate mood_mk3 stale', 'separate tonal_ii missing']);
+});
+
+test('hide drops a device, and patches for devices that are gone are reported missing', () => {
+    const { finalDb, overrides } = mergeWithOverrides([{
+        file: 'overrides/oberheim/ob6.json',
+        device: 'oberheim/ob6',
+        hide: true
+    }, {
+        file: 'overrides/strymon/timeline.json',
+        device: 'strymon/timeline',
+        reason: 'Manual link',
+        set: { 'links.manual': 'https://www.strymon.net/timeline' },
+        cc: { 15: null },
+        hide: true
+    }]);
+
+    assert.strictEqual(finalDb.Oberheim, undefined);
+    assert.deepStrictEqual(listReport(overrides), ['hide oberheim/ob6 applied', 'set links.manual missing', 'cc 15 missing', 'hide strymon/timeline missing']);
+    assert.strictEqual(overrides[1].reason, 'Manual link');
+    assert.deepStrictEqual(summarizeOverrides(overrides), { applied: 1, stale: 0, missing: 3 });
+});
+
+test('patch files are named after the device they patch and checked when loaded', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'midi-overrides-'));
+    try {
+        fs.mkdirSync(path.join(directory, 'chasebliss'));
+        fs.writeFileSync(path.join(directory, 'chasebliss', 'mood.json'), JSON.stringify({ hide: true }));
+        assert.deepStrictEqual(loadOverrides(directory).map(override => `${override.file} ${override.device}`), ['overrides/chasebliss/mood.json chasebliss/mood']);
+
+        fs.writeFileSync(path.join(directory, 'chasebliss', 'tonal.json'), JSON.stringify({ set: { id: 'x' }, cc: { CC14: null }, hide: 'yes' }));
+        assert.throws(() => loadOverrides(directory), /Invalid override chasebliss\/tonal\.json: "set" can't change id; "cc" key "CC14" is not a CC number; "hide" must be true or false/);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
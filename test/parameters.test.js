@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { mergeParameterLists } = require('../lib/parameters');
+
+// Function to build a CC entry the way createStandardDevice does
+function cc(value, name, fields = {}) {
+    return { name, description: '', usage: '', curve: '0-based', value, min: 0, max: 127, type: 'Parameter', ...fields };
+}
+
+test('entries a source lists several times for one CC are all kept', () => {
+    // openmidi style: one entry per value of a switch
+    const listA = [cc(28, 'Bypass Channel A', { min: 0, max: 0 }), cc(29, 'Tap')];
+    const listB = [
+        cc(28, 'Bypass Channel A', { min: 0, max: 0, description: 'Bypass' }),
+        cc(28, 'Delay On Channel A', { min: 127, max: 127 }),
+        cc(30, 'Preset Up', { min: 0, max: 0 }),
+        cc(30, 'Preset Down', { min: 127, max: 127 })
+    ];
+
+    const { list, origins, conflicts } = mergeParameterLists('cc', listA, listB);
+    assert.deepStrictEqual(list.map(entry => `${entry.value} ${entry.name} ${entry.min}-${entry.max}`), [
+        '28 Bypass Channel A 0-0',
+        '29 Tap 0-127',
+        '28 Delay On Channel A 127-127',
+        '30 Preset Up 0-0',
+        '30 Preset Down 127-127'
+    ]);
+    assert.strictEqual(list[0].description, 'Bypass');
+    assert.deepStrictEqual(origins.map(origin => origin.from), ['a', 'a', 'b', 'b', 'b']);
+    assert.deepStrictEqual(conflicts, []);
+});
+
+test('entries of the lower priority list are never matched against each other', () => {
+    const listB = [cc(5, 'Glide On', { min: 0, max: 63 }), cc(5, 'Glide Off', { min: 64, max: 127 })];
+    const { list, conflicts } = mergeParameterLists('cc', [], listB);
+    assert.strictEqual(list.length, 2);
+    assert.deepStrictEqual(conflicts, []);
+});
+
+test('one entry on each side with a different name is a conflict, the higher priority entry is kept', () => {
+    const { list, conflicts } = mergeParameterLists('cc', [cc(14, 'Time')], [cc(14, 'Length', { curve: 'exponential', description: 'Loop length' })]);
+    assert.deepStrictEqual(list, [cc(14, 'Time', { description: 'Loop length' })]);
+    assert.strictEqual(conflicts.length, 1);
+    assert.deepStrictEqual(conflicts[0].fields, ['name']);
+    assert.strictEqual(conflicts[0].other.name, 'Length');
+});
+
+test('an empty curve is filled from the other list', () => {
+    const { list, origins } = mergeParameterLists('cc', [cc(7, 'Volume', { curve: '' })], [cc(7, 'Volume', { curve: '1-based' })]);
+    assert.strictEqual(list[0].curve, '1-based');
+    assert.deepStrictEqual(origins[0].filled, ['curve']);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { readDatabase, buildIndex, findDevices, findCc, findNrpn, findTagged, searchParameters, toRows, formatTable } = require('../lib/query');
+
+// The golden merge output doubles as a small database to search
+const databasePath = path.join(__dirname, 'fixtures', 'expected', 'midi.json');
+const index = buildIndex(readDatabase(databasePath));
+
+// Function to list results as "Brand Device address name"
+function listResults(results) {
+    return results.map(result => `${result.brand} ${result.device} ${result.address} ${result.entry.name}`);
+}
+
+test('a gzipped database reads like the plain one', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'midi-query-'));
+    try {
+        const gzipPath = path.join(directory, 'midi.min.json.gz');
+        fs.writeFileSync(gzipPath, zlib.gzipSync(fs.readFileSync(databasePath)));
+        assert.deepStrictEqual(readDatabase(gzipPath), readDatabase(databasePath));
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('devices are found by brand and device name, ignoring case and punctuation', () => {
+    assert.deepStrictEqual(findDevices(index, { brand: 'chase-bliss' }).map(ref => ref.device), ['Mood', 'Preamp MKII']);
+    assert.deepStrictEqual(findDevices(index, { device: 'ob 6' }).map(ref => `${ref.brand} ${ref.device}`), ['Oberheim OB-6', 'Sequential OB-6']);
+    assert.deepStrictEqual(findDevices(index, { device: 'preamp' }).map(ref => ref.device), ['Preamp MKII']);
+    assert.deepStrictEqual(findDevices(index, { nrpn: true }).map(ref => ref.device), ['Mood']);
+    assert.strictEqual(findDevices(index).length, 6);
+});
+
+test('parameters are found by CC number and NRPN address', () => {
+    assert.deepStrictEqual(listResults(findCc(index, '15')), ['Chase Bliss Mood 15 Mix', 'Chase Bliss Preamp MKII 15 Treble', 'Strymon TimeLine 15 Delay Mix']);
+    assert.deepStrictEqual(listResults(findCc(index, 74, { brand: 'sequential' })), ['Sequential OB-6 74 Cutoff']);
+    assert.deepStrictEqual(listResults(findNrpn(index, '1:14')), ['Chase Bliss Mood 1:14 Fine Time']);
+    assert.deepStrictEqual(findNrpn(index, '2:0'), []);
+});
+
+test('parameters are found by tag and by words or word beginnings of their name', () => {
+    assert.deepStrictEqual(listResults(findTagged(index, 'filter')), ['Oberheim OB-6 74 Filter Cutoff', 'Sequential OB-6 74 Cutoff']);
+    assert.deepStrictEqual(listResults(searchParameters(index, 'cut')), ['Oberheim OB-6 74 Filter Cutoff', 'Sequential OB-6 74 Cutoff']);
+    assert.deepStrictEqual(listResults(searchParameters(index, 'filter cut')), ['Oberheim OB-6 74 Filter Cutoff']);
+    assert.deepStrictEqual(listResults(searchParameters(index, 'mix', { device: 'timeline' })), ['Strymon TimeLine 15 Delay Mix']);
+    assert.deepStrictEqual(searchParameters(index, '--'), []);
+});
+
+test('results become rows and a plain-text table', () => {
+    const rows = toRows(findNrpn(index, '1:14'));
+    assert.deepStrictEqual(rows, [{ brand: 'Chase Bliss', device: 'Mood', kind: 'nrpn', address: '1:14', name: 'Fine Time', tag: '', min: 0, max: 16383, description: '' }]);
+    assert.deepStrictEqual(toRows(findDevices(index, { device: 'mood' })), [{ brand: 'Chase Bliss', device: 'Mood', cc: 2, nrpn: 1 }]);
+
+    assert.strictEqual(formatTable(toRows(findDevices(index, { device: 'mood' }))), [
+        'brand        device  cc  nrpn',
+        '-----------  ------  --  ----',
+        'Chase Bliss  Mood    2   1'
+    ].join('\n'));
+    assert.strictEqual(formatTable([]), 'No results');
+    assert.strictEqual(formatTable([{ name: 'A long parameter name' }], 10).split('\n')[2], 'A long pa…');
+});
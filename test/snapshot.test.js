@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runMerge } = require('../merge');
+
+// Small upstream files covering the known edge cases, and the outputs they must produce.
+// After an intended change, rewrite the expected files with UPDATE_SNAPSHOTS=1 node --test
+// and review the diff before committing it.
+const fixturesDirectory = path.join(__dirname, 'fixtures');
+const expectedDirectory = path.join(fixturesDirectory, 'expected');
+const snapshotFiles = ['midi.json', 'midi-database-version.json', 'reports/midi-conflicts.json', 'reports/midi-unmapped.json'];
+
+// Function to run the merge on the fixtures without printing the statistics.
+// The build time is fixed so the version file can be compared.
+function mergeFixtures(outputDir, { directory = fixturesDirectory, generatedAt = '2025-06-01T00:00:00.000Z' } = {}) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return runMerge({
+            sourcesPath: path.join(directory, 'sources.json'),
+            mappingPath: path.join(directory, 'mapping.json'),
+            overridesPath: path.join(directory, 'overrides'),
+            outputDir,
+            generatedAt
+        });
+    } finally {
+        console.log = log;
+    }
+}
+
+// Function to run a test against a fresh output directory
+function withOutputDirectory(callback) {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'midi-merge-'));
+    try {
+        callback(outputDir);
+    } finally {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+}
+
+test('merging the fixtures gives the golden outputs', () => {
+    withOutputDirectory(outputDir => {
+        mergeFixtures(outputDir);
+
+        snapshotFiles.forEach(file => {
+            const actual = fs.readFileSync(path.join(outputDir, file), 'utf8');
+            const expectedPath = path.join(expectedDirectory, file);
+
+            if (process.env.UPDATE_SNAPSHOTS === '1') {
+                fs.mkdirSync(path.dirname(expectedPath), { recursive: true });
+                fs.writeFileSync(expectedPath, actual);
+                return;
+            }
+            assert.strictEqual(actual, fs.readFileSync(expectedPath, 'utf8'), `${file} differs from test/fixtures/expected/${file}`);
+        });
+    });
+});
+
+test('merging the fixtures again writes the same files', () => {
+    withOutputDirectory(outputDir => {
+        // The first rerun adds the (empty) changes against the initial build to the version file
+        mergeFixtures(outputDir);
+        mergeFixtures(outputDir);
+        const files = ['midi.json', 'midi.min.json', 'midi.min.json.gz', 'midi-database-version.json'];
+        const first = files.map(file => fs.readFileSync(path.join(outputDir, file)));
+
+        const { versionInfo } = mergeFixtures(outputDir);
+        assert.strictEqual(versionInfo.versionBump, 'none');
+        files.forEach((file, index) => {
+            assert.ok(fs.readFileSync(path.join(outputDir, file)).equals(first[index]), `${file} changed on the second run`);
+        });
+    });
+});
+
+test('a new upstream timestamp alone gives no release, a data change a new build time', () => {
+    withOutputDirectory(outputDir => {
+        const directory = path.join(outputDir, 'fixtures');
+        fs.cpSync(fixturesDirectory, directory, { recursive: true, filter: source => source !== expectedDirectory });
+        const upstreamPath = path.join(directory, 'midi-database-v10.json');
+        const upstream = JSON.parse(fs.readFileSync(upstreamPath, 'utf8'));
+        const build = path.join(outputDir, 'build');
+        mergeFixtures(build, { directory });
+
+        upstream.generatedAt = '2025-02-01T00:00:00.000Z';
+        fs.writeFileSync(upstreamPath, JSON.stringify(upstream));
+        const refreshed = mergeFixtures(build, { directory, generatedAt: '2025-07-01T00:00:00.000Z' });
+        assert.strictEqual(refreshed.versionInfo.versionBump, 'none');
+        assert.strictEqual(refreshed.versionInfo.generatedAt, '2025-06-01T00:00:00.000Z');
+
+        upstream.chase_bliss.mood.cc[0].name = 'Renamed';
+        fs.writeFileSync(upstreamPath, JSON.stringify(upstream));
+        const changed = mergeFixtures(build, { directory, generatedAt: '2025-08-01T00:00:00.000Z' });
+        assert.strictEqual(changed.versionInfo.versionBump, 'patch');
+        assert.strictEqual(changed.finalDb.generatedAt, '2025-08-01T00:00:00.000Z');
+        assert.strictEqual(changed.finalDb.version, changed.versionInfo.version);
+        assert.match(fs.readFileSync(path.join(build, 'midi-changelog.md'), 'utf8'), new RegExp(`${changed.versionInfo.version.replace(/\./g, '\\.')} - 2025-08-01`));
+    });
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { loadSourcesManifest } = require('../lib/sources');
+
+const fixturesDirectory = path.join(__dirname, 'fixtures');
+const manifestPath = path.join(fixturesDirectory, 'sources.json');
+
+// Function to load a manifest without printing which file was picked
+function loadQuietly(inputPaths) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return loadSourcesManifest(manifestPath, inputPaths);
+    } finally {
+        console.log = log;
+    }
+}
+
+test('a * in a source path picks the latest version', () => {
+    const definition = loadQuietly().find(({ name }) => name === 'MidiDeviceDefinitions');
+    assert.strictEqual(definition.path, path.join(fixturesDirectory, 'midi-database-v10.json'));
+});
+
+test('an input path replaces the manifest path of that source only', () => {
+    const olderPath = path.join(fixturesDirectory, 'midi-database-v9.json');
+    const definitions = loadQuietly({ MidiDeviceDefinitions: olderPath });
+    assert.deepStrictEqual(definitions.map(definition => [definition.name, definition.path, definition.priority]), [
+        ['MidiDeviceDefinitions', olderPath, 2],
+        ['openmidi', path.join(fixturesDirectory, 'all.json'), 1]
+    ]);
+});
+
+test('an input path for a source the manifest lacks is an error', () => {
+    assert.throws(() => loadQuietly({ openmidl: 'all.json' }), /has no source named "openmidl" \(sources: MidiDeviceDefinitions, openmidi\)/);
+});
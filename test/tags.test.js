@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { classifyParameter } = require('../lib/tags');
+
+// Function to tag a CC the way the merge does
+function tagCc(value, name) {
+    return classifyParameter('cc', { value, name, type: 'Parameter' });
+}
+
+test('the standard name of a CC number takes the standard tag', () => {
+    ['Sustain', 'Sustain On/Off', 'Pedal Sustain', 'SUS Pedal', 'Sustainpedal'].forEach(name => {
+        assert.strictEqual(tagCc(64, name), 'expression', name);
+    });
+    assert.strictEqual(tagCc(1, 'Modulation'), 'expression');
+    assert.strictEqual(tagCc(67, 'Soft'), 'expression');
+});
+
+test('names that are not the standard meaning of the number keep their word tag', () => {
+    assert.strictEqual(tagCc(20, 'Sustain'), 'envelope');
+    assert.strictEqual(tagCc(1, 'Filter Mod'), 'filter');
+    assert.strictEqual(tagCc(72, 'Release'), 'envelope');
+    assert.strictEqual(tagCc(74, 'Brightness'), 'filter');
+});
+
+test('effect words come before envelope words unless the name is about an envelope', () => {
+    assert.strictEqual(tagCc(20, 'Reverb: Decay Time'), 'effect');
+    assert.strictEqual(tagCc(75, 'Reverb Decay'), 'effect');
+    assert.strictEqual(tagCc(21, 'Delay Time'), 'effect');
+    assert.strictEqual(tagCc(22, 'Filter Env Delay'), 'envelope');
+    assert.strictEqual(tagCc(23, 'LFO Delay'), 'lfo');
+});
+
+test('effect names that also name a filter are tagged by the other words', () => {
+    assert.strictEqual(tagCc(16, 'Delay HPF'), 'filter');
+    assert.strictEqual(tagCc(24, 'VCF delay / release'), 'envelope');
+});